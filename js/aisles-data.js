@@ -0,0 +1,174 @@
+/**
+ * Store aisles for the shopping list, in the order they are listed
+ * Keywords are matched as whole words against the normalized (lowercase,
+ * singular) ingredient name. Aisles are tried top to bottom and the first
+ * match wins, so "peanut butter" must be claimed before Dairy sees "butter".
+ */
+const AISLES = [
+  {
+    name: 'Spices & Seasonings',
+    keywords: [
+      'salt',
+      'black pepper',
+      'white pepper',
+      'peppercorn',
+      'chilli powder',
+      'chili powder',
+      'chilli flake',
+      'red chilli powder',
+      'coriander powder',
+      'cumin',
+      'jeera',
+      'turmeric',
+      'haldi',
+      'garam masala',
+      'masala',
+      'spice',
+      'paprika',
+      'cinnamon',
+      'cardamom',
+      'clove',
+      'nutmeg',
+      'oregano',
+      'thyme',
+      'bay leaf',
+      'mustard seed',
+      'seasoning',
+    ],
+  },
+  {
+    name: 'Baking',
+    keywords: [
+      'flour',
+      'maida',
+      'atta',
+      'besan',
+      'sugar',
+      'baking soda',
+      'baking powder',
+      'yeast',
+      'vanilla',
+      'cocoa',
+      'chocolate',
+      'cornstarch',
+    ],
+  },
+  {
+    name: 'Pantry',
+    keywords: [
+      'rice',
+      'pasta',
+      'spaghetti',
+      'penne',
+      'noodle',
+      'maggi',
+      'lentil',
+      'dal',
+      'bean',
+      'chickpea',
+      'oat',
+      'semolina',
+      'rava',
+      'oil',
+      'ghee',
+      'vinegar',
+      'sauce',
+      'ketchup',
+      'paste',
+      'stock',
+      'broth',
+      'honey',
+      'jam',
+      'peanut butter',
+      'coconut milk',
+      'nut',
+      'almond',
+      'cashew',
+      'raisin',
+      'breadcrumb',
+      'bread crumb',
+    ],
+  },
+  {
+    name: 'Dairy & Eggs',
+    keywords: [
+      'milk',
+      'butter',
+      'cream',
+      'cheese',
+      'parmesan',
+      'mozzarella',
+      'paneer',
+      'yogurt',
+      'curd',
+      'egg',
+    ],
+  },
+  {
+    name: 'Meat & Fish',
+    keywords: [
+      'chicken',
+      'mutton',
+      'lamb',
+      'beef',
+      'pork',
+      'bacon',
+      'ham',
+      'sausage',
+      'fish',
+      'prawn',
+      'shrimp',
+      'salmon',
+      'tuna',
+    ],
+  },
+  {
+    name: 'Bakery',
+    keywords: ['bread', 'bun', 'tortilla', 'wrap', 'pita'],
+  },
+  {
+    name: 'Produce',
+    keywords: [
+      'onion',
+      'garlic',
+      'ginger',
+      'tomato',
+      'potato',
+      'carrot',
+      'pepper',
+      'capsicum',
+      'chilli',
+      'chili',
+      'coriander',
+      'cilantro',
+      'mint',
+      'basil',
+      'parsley',
+      'spinach',
+      'lettuce',
+      'cabbage',
+      'cauliflower',
+      'broccoli',
+      'cucumber',
+      'mushroom',
+      'pea',
+      'lemon',
+      'lime',
+      'apple',
+      'banana',
+      'avocado',
+      'leaf',
+    ],
+  },
+  {
+    name: 'Frozen',
+    keywords: ['frozen', 'ice cream'],
+  },
+  {
+    name: 'Drinks',
+    keywords: ['juice', 'soda', 'wine', 'beer', 'coffee', 'tea'],
+  },
+];
+
+// Aisle for anything no keyword matches
+const OTHER_AISLE = 'Other';
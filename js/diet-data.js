@@ -0,0 +1,201 @@
+/**
+ * Keyword tables for allergen and diet detection
+ * Keywords are matched as whole words against the normalized (lowercase,
+ * singular) ingredient name; they are singularized the same way, so
+ * "couscous" is written as is. Phrases in `except` are removed from the
+ * name first, so "peanut butter" is not dairy and "rice flour" is not
+ * gluten. A name with a phrase from `unless` never matches at all, so
+ * "gluten-free flour" is not gluten.
+ */
+const ALLERGENS = [
+  {
+    key: 'egg',
+    label: 'Egg',
+    keywords: ['egg', 'mayonnaise', 'mayo', 'meringue'],
+    except: [],
+    unless: ['eggless', 'egg free', 'vegan'],
+  },
+  {
+    key: 'dairy',
+    label: 'Dairy',
+    keywords: [
+      'milk',
+      'butter',
+      'buttermilk',
+      'ghee',
+      'cream',
+      'cheese',
+      'parmesan',
+      'mozzarella',
+      'cheddar',
+      'paneer',
+      'yogurt',
+      'yoghurt',
+      'curd',
+      'dahi',
+      'malai',
+      'khoya',
+      'whey',
+    ],
+    except: [
+      'peanut butter',
+      'almond butter',
+      'cashew butter',
+      'cocoa butter',
+      'coconut milk',
+      'coconut cream',
+      'almond milk',
+      'soy milk',
+      'oat milk',
+      'rice milk',
+      'cream of tartar',
+    ],
+    unless: ['dairy free', 'vegan'],
+  },
+  {
+    key: 'gluten',
+    label: 'Gluten',
+    keywords: [
+      'wheat',
+      'flour',
+      'atta',
+      'maida',
+      'bread',
+      'breadcrumb',
+      'bun',
+      'pav',
+      'pasta',
+      'spaghetti',
+      'penne',
+      'macaroni',
+      'noodle',
+      'semolina',
+      'rava',
+      'sooji',
+      'suji',
+      'couscous',
+      'barley',
+      'rye',
+      'seitan',
+      'tortilla',
+      'pita',
+      'roti',
+      'chapati',
+      'biscuit',
+      'cracker',
+      'soy sauce',
+      'beer',
+    ],
+    except: [
+      'rice flour',
+      'gram flour',
+      'chickpea flour',
+      'almond flour',
+      'coconut flour',
+      'corn flour',
+      'buckwheat flour',
+      'rice noodle',
+      'corn tortilla',
+    ],
+    unless: ['gluten free'],
+  },
+  {
+    key: 'nuts',
+    label: 'Nuts',
+    keywords: [
+      'nut',
+      'almond',
+      'cashew',
+      'walnut',
+      'peanut',
+      'pistachio',
+      'hazelnut',
+      'pecan',
+      'macadamia',
+      'pine nut',
+      'praline',
+      'marzipan',
+    ],
+    except: [],
+    unless: ['nut free'],
+  },
+];
+
+// Ingredients that make a recipe non-veg
+const MEAT_KEYWORDS = {
+  keywords: [
+    'meat',
+    'chicken',
+    'mutton',
+    'lamb',
+    'beef',
+    'veal',
+    'pork',
+    'bacon',
+    'ham',
+    'sausage',
+    'pepperoni',
+    'salami',
+    'prosciutto',
+    'pancetta',
+    'keema',
+    'mince',
+    'turkey',
+    'duck',
+    'fish',
+    'prawn',
+    'shrimp',
+    'salmon',
+    'tuna',
+    'cod',
+    'crab',
+    'lobster',
+    'squid',
+    'octopus',
+    'mussel',
+    'clam',
+    'scallop',
+    'anchovy',
+    'oyster',
+    'gelatin',
+    'gelatine',
+    'lard',
+  ],
+  except: ['oyster mushroom', 'veg mince', 'soy mince'],
+  unless: ['vegan', 'vegetarian', 'veggie', 'meatless'],
+};
+
+// Animal products besides meat, egg and dairy that vegans leave out
+const ANIMAL_KEYWORDS = {
+  keywords: ['honey'],
+  except: [],
+};
+
+// Roots and bulbs a Jain diet leaves out
+const JAIN_AVOIDS = {
+  keywords: [
+    'onion',
+    'shallot',
+    'leek',
+    'scallion',
+    'garlic',
+    'ginger',
+    'potato',
+    'carrot',
+    'beetroot',
+    'beet',
+    'radish',
+    'turnip',
+    'yam',
+    'mushroom',
+  ],
+  // Dried ginger is commonly allowed
+  except: ['dry ginger', 'dried ginger', 'ginger powder'],
+};
+
+// Diets a recipe can be badged with
+const DIETS = {
+  vegan: 'Vegan',
+  eggetarian: 'Eggetarian',
+  jain: 'Jain',
+};
@@ -0,0 +1,771 @@
+/**
+ * Nutrients per 100 g of common ingredients, rounded from USDA FoodData
+ * Central: calories (kcal), and protein, carbs and fat in grams.
+ * Keywords are matched as whole words against the normalized (lowercase,
+ * singular) ingredient name and the first match wins, so specific foods
+ * must come before general ones ("peanut butter" before "butter").
+ * `pieceGrams` is the weight of one item counted without a weight unit
+ * ("2 eggs", "1 onion", "2 cloves garlic"). `gramsPerCup` is only given
+ * where the density table in units-data.js has nothing and the food is
+ * not about as heavy as water.
+ */
+const NUTRITION_FOODS = [
+  {
+    name: 'Water',
+    keywords: ['water'],
+    calories: 0,
+    protein: 0,
+    carbs: 0,
+    fat: 0,
+  },
+  {
+    name: 'Salt',
+    keywords: ['salt'],
+    calories: 0,
+    protein: 0,
+    carbs: 0,
+    fat: 0,
+  },
+  {
+    name: 'Baking soda / powder',
+    keywords: ['baking soda', 'baking powder'],
+    calories: 0,
+    protein: 0,
+    carbs: 0,
+    fat: 0,
+  },
+  {
+    name: 'Ginger-garlic paste',
+    keywords: ['ginger garlic paste'],
+    calories: 100,
+    protein: 3,
+    carbs: 22,
+    fat: 0.6,
+  },
+  {
+    name: 'Garlic',
+    keywords: ['garlic'],
+    calories: 149,
+    protein: 6.4,
+    carbs: 33,
+    fat: 0.5,
+    pieceGrams: 5,
+  },
+  {
+    name: 'Bell pepper',
+    keywords: [
+      'capsicum',
+      'bell pepper',
+      'red pepper',
+      'green pepper',
+      'yellow pepper',
+    ],
+    calories: 26,
+    protein: 1,
+    carbs: 6,
+    fat: 0.3,
+    pieceGrams: 120,
+  },
+  {
+    name: 'Spices',
+    keywords: [
+      'chilli powder',
+      'chili powder',
+      'chilli flake',
+      'coriander powder',
+      'cumin',
+      'jeera',
+      'turmeric',
+      'haldi',
+      'masala',
+      'spice',
+      'paprika',
+      'pepper',
+      'peppercorn',
+      'cinnamon',
+      'cardamom',
+      'clove',
+      'nutmeg',
+      'oregano',
+      'thyme',
+      'bay leaf',
+      'mustard seed',
+      'seasoning',
+    ],
+    calories: 300,
+    protein: 12,
+    carbs: 50,
+    fat: 12,
+    pieceGrams: 5,
+    gramsPerCup: 120,
+  },
+  {
+    name: 'Vanilla extract',
+    keywords: ['vanilla'],
+    calories: 288,
+    protein: 0.1,
+    carbs: 12.7,
+    fat: 0.1,
+  },
+  {
+    name: 'Yeast',
+    keywords: ['yeast'],
+    calories: 325,
+    protein: 40,
+    carbs: 41,
+    fat: 7.6,
+    pieceGrams: 7,
+  },
+  {
+    name: 'Gram flour (besan)',
+    keywords: ['gram flour', 'besan', 'chickpea flour'],
+    calories: 387,
+    protein: 22,
+    carbs: 58,
+    fat: 6.7,
+  },
+  {
+    name: 'Whole wheat flour (atta)',
+    keywords: ['wheat flour', 'whole wheat flour', 'atta'],
+    calories: 340,
+    protein: 13,
+    carbs: 72,
+    fat: 2.5,
+  },
+  {
+    name: 'Cornstarch',
+    keywords: ['cornstarch', 'corn starch', 'cornflour'],
+    calories: 381,
+    protein: 0.3,
+    carbs: 91,
+    fat: 0.1,
+  },
+  {
+    name: 'Flour',
+    keywords: ['flour', 'maida'],
+    calories: 364,
+    protein: 10,
+    carbs: 76,
+    fat: 1,
+  },
+  {
+    name: 'Sugar',
+    keywords: ['sugar', 'jaggery'],
+    calories: 387,
+    protein: 0,
+    carbs: 100,
+    fat: 0,
+  },
+  {
+    name: 'Honey',
+    keywords: ['honey'],
+    calories: 304,
+    protein: 0.3,
+    carbs: 82,
+    fat: 0,
+  },
+  {
+    name: 'Jam',
+    keywords: ['jam'],
+    calories: 278,
+    protein: 0.4,
+    carbs: 69,
+    fat: 0.1,
+  },
+  {
+    name: 'Chocolate',
+    keywords: ['chocolate'],
+    calories: 480,
+    protein: 4.2,
+    carbs: 64,
+    fat: 24,
+  },
+  {
+    name: 'Cocoa powder',
+    keywords: ['cocoa'],
+    calories: 228,
+    protein: 20,
+    carbs: 58,
+    fat: 14,
+  },
+  {
+    name: 'Peanut butter',
+    keywords: ['peanut butter'],
+    calories: 588,
+    protein: 25,
+    carbs: 20,
+    fat: 50,
+  },
+  {
+    name: 'Butter',
+    keywords: ['butter'],
+    calories: 717,
+    protein: 0.9,
+    carbs: 0.1,
+    fat: 81,
+    pieceGrams: 113,
+  },
+  {
+    name: 'Ghee',
+    keywords: ['ghee'],
+    calories: 900,
+    protein: 0,
+    carbs: 0,
+    fat: 100,
+  },
+  {
+    name: 'Oil',
+    keywords: ['oil'],
+    calories: 884,
+    protein: 0,
+    carbs: 0,
+    fat: 100,
+    gramsPerCup: 218,
+  },
+  {
+    name: 'Mayonnaise',
+    keywords: ['mayonnaise', 'mayo'],
+    calories: 680,
+    protein: 1,
+    carbs: 0.6,
+    fat: 75,
+  },
+  {
+    name: 'Ice cream',
+    keywords: ['ice cream'],
+    calories: 207,
+    protein: 3.5,
+    carbs: 24,
+    fat: 11,
+  },
+  {
+    name: 'Cream',
+    keywords: ['cream', 'malai'],
+    calories: 340,
+    protein: 2.8,
+    carbs: 2.7,
+    fat: 36,
+  },
+  {
+    name: 'Coconut milk',
+    keywords: ['coconut milk'],
+    calories: 230,
+    protein: 2.3,
+    carbs: 6,
+    fat: 24,
+  },
+  {
+    name: 'Coconut',
+    keywords: ['coconut'],
+    calories: 354,
+    protein: 3.3,
+    carbs: 15,
+    fat: 33,
+  },
+  {
+    name: 'Milk',
+    keywords: ['milk'],
+    calories: 61,
+    protein: 3.2,
+    carbs: 4.8,
+    fat: 3.3,
+  },
+  {
+    name: 'Yogurt',
+    keywords: ['yogurt', 'yoghurt', 'curd', 'dahi'],
+    calories: 61,
+    protein: 3.5,
+    carbs: 4.7,
+    fat: 3.3,
+  },
+  {
+    name: 'Parmesan',
+    keywords: ['parmesan'],
+    calories: 431,
+    protein: 38,
+    carbs: 4.1,
+    fat: 29,
+  },
+  {
+    name: 'Mozzarella',
+    keywords: ['mozzarella'],
+    calories: 280,
+    protein: 28,
+    carbs: 3,
+    fat: 17,
+  },
+  {
+    name: 'Paneer',
+    keywords: ['paneer', 'cottage cheese'],
+    calories: 265,
+    protein: 18,
+    carbs: 1.2,
+    fat: 21,
+  },
+  {
+    name: 'Cheese',
+    keywords: ['cheese', 'cheddar'],
+    calories: 403,
+    protein: 25,
+    carbs: 1.3,
+    fat: 33,
+    pieceGrams: 20,
+  },
+  {
+    name: 'Egg',
+    keywords: ['egg'],
+    calories: 143,
+    protein: 12.6,
+    carbs: 0.7,
+    fat: 9.5,
+    pieceGrams: 50,
+  },
+  {
+    name: 'Chicken breast',
+    keywords: ['chicken breast'],
+    calories: 120,
+    protein: 22.5,
+    carbs: 0,
+    fat: 2.6,
+    pieceGrams: 200,
+  },
+  {
+    name: 'Chicken',
+    keywords: ['chicken'],
+    calories: 170,
+    protein: 19,
+    carbs: 0,
+    fat: 10,
+  },
+  {
+    name: 'Bacon',
+    keywords: ['bacon', 'pancetta'],
+    calories: 417,
+    protein: 13,
+    carbs: 1.4,
+    fat: 40,
+    pieceGrams: 25,
+  },
+  {
+    name: 'Ham',
+    keywords: ['ham'],
+    calories: 145,
+    protein: 21,
+    carbs: 1.5,
+    fat: 6,
+    pieceGrams: 25,
+  },
+  {
+    name: 'Sausage',
+    keywords: ['sausage'],
+    calories: 301,
+    protein: 12,
+    carbs: 2,
+    fat: 27,
+    pieceGrams: 75,
+  },
+  {
+    name: 'Beef',
+    keywords: ['beef', 'mince'],
+    calories: 250,
+    protein: 17,
+    carbs: 0,
+    fat: 20,
+  },
+  {
+    name: 'Lamb / mutton',
+    keywords: ['lamb', 'mutton'],
+    calories: 282,
+    protein: 16.6,
+    carbs: 0,
+    fat: 23,
+  },
+  {
+    name: 'Pork',
+    keywords: ['pork'],
+    calories: 220,
+    protein: 19,
+    carbs: 0,
+    fat: 15,
+  },
+  {
+    name: 'Salmon',
+    keywords: ['salmon'],
+    calories: 208,
+    protein: 20,
+    carbs: 0,
+    fat: 13,
+  },
+  {
+    name: 'Tuna',
+    keywords: ['tuna'],
+    calories: 116,
+    protein: 26,
+    carbs: 0,
+    fat: 1,
+  },
+  {
+    name: 'Prawns / shrimp',
+    keywords: ['prawn', 'shrimp'],
+    calories: 85,
+    protein: 20,
+    carbs: 0,
+    fat: 0.5,
+  },
+  {
+    name: 'Fish',
+    keywords: ['fish'],
+    calories: 90,
+    protein: 19,
+    carbs: 0,
+    fat: 1,
+  },
+  {
+    name: 'Instant noodles',
+    keywords: ['maggi noodle', 'instant noodle', 'ramen'],
+    calories: 427,
+    protein: 9,
+    carbs: 61,
+    fat: 16,
+    pieceGrams: 70,
+  },
+  {
+    name: 'Pasta / noodles (dry)',
+    keywords: ['pasta', 'spaghetti', 'penne', 'macaroni', 'noodle'],
+    calories: 371,
+    protein: 13,
+    carbs: 75,
+    fat: 1.5,
+  },
+  {
+    name: 'Rice (uncooked)',
+    keywords: ['rice', 'basmati'],
+    calories: 360,
+    protein: 7,
+    carbs: 79,
+    fat: 0.6,
+  },
+  {
+    name: 'Lentils (dry)',
+    keywords: ['lentil', 'dal'],
+    calories: 353,
+    protein: 25,
+    carbs: 60,
+    fat: 1,
+  },
+  {
+    name: 'Chickpeas (dry)',
+    keywords: ['chickpea', 'chana', 'rajma', 'kidney bean'],
+    calories: 364,
+    protein: 19,
+    carbs: 61,
+    fat: 6,
+  },
+  {
+    name: 'Beans (cooked)',
+    keywords: ['bean'],
+    calories: 110,
+    protein: 7,
+    carbs: 20,
+    fat: 0.5,
+  },
+  {
+    name: 'Oats',
+    keywords: ['oat'],
+    calories: 389,
+    protein: 17,
+    carbs: 66,
+    fat: 7,
+  },
+  {
+    name: 'Semolina (rava)',
+    keywords: ['semolina', 'rava', 'sooji', 'suji'],
+    calories: 360,
+    protein: 13,
+    carbs: 73,
+    fat: 1,
+  },
+  {
+    name: 'Breadcrumbs',
+    keywords: ['breadcrumb', 'bread crumb'],
+    calories: 395,
+    protein: 13,
+    carbs: 72,
+    fat: 5,
+  },
+  {
+    name: 'Bread',
+    keywords: ['bread', 'bun', 'pav', 'toast'],
+    calories: 265,
+    protein: 9,
+    carbs: 49,
+    fat: 3.2,
+    pieceGrams: 30,
+  },
+  {
+    name: 'Tortilla / wrap',
+    keywords: ['tortilla', 'wrap', 'pita', 'roti', 'chapati'],
+    calories: 310,
+    protein: 8,
+    carbs: 52,
+    fat: 8,
+    pieceGrams: 45,
+  },
+  {
+    name: 'Almonds',
+    keywords: ['almond'],
+    calories: 579,
+    protein: 21,
+    carbs: 22,
+    fat: 50,
+    pieceGrams: 1.2,
+  },
+  {
+    name: 'Cashews',
+    keywords: ['cashew'],
+    calories: 553,
+    protein: 18,
+    carbs: 30,
+    fat: 44,
+    pieceGrams: 1.5,
+  },
+  {
+    name: 'Peanuts',
+    keywords: ['peanut'],
+    calories: 567,
+    protein: 26,
+    carbs: 16,
+    fat: 49,
+  },
+  {
+    name: 'Walnuts',
+    keywords: ['walnut'],
+    calories: 654,
+    protein: 15,
+    carbs: 14,
+    fat: 65,
+  },
+  {
+    name: 'Raisins',
+    keywords: ['raisin'],
+    calories: 299,
+    protein: 3,
+    carbs: 79,
+    fat: 0.5,
+  },
+  {
+    name: 'Soy sauce',
+    keywords: ['soy sauce'],
+    calories: 53,
+    protein: 8,
+    carbs: 5,
+    fat: 0.6,
+  },
+  {
+    name: 'Ketchup',
+    keywords: ['ketchup', 'tomato sauce'],
+    calories: 101,
+    protein: 1,
+    carbs: 27,
+    fat: 0.1,
+  },
+  {
+    name: 'Tomato paste',
+    keywords: ['tomato paste'],
+    calories: 82,
+    protein: 4.3,
+    carbs: 19,
+    fat: 0.5,
+  },
+  {
+    name: 'Tomato puree',
+    keywords: ['tomato puree', 'passata', 'canned tomato'],
+    calories: 38,
+    protein: 1.7,
+    carbs: 9,
+    fat: 0.2,
+  },
+  {
+    name: 'Vinegar',
+    keywords: ['vinegar'],
+    calories: 18,
+    protein: 0,
+    carbs: 0,
+    fat: 0,
+  },
+  {
+    name: 'Stock / broth',
+    keywords: ['stock', 'broth'],
+    calories: 5,
+    protein: 0.5,
+    carbs: 0.5,
+    fat: 0.2,
+  },
+  {
+    name: 'Onion',
+    keywords: ['onion', 'shallot'],
+    calories: 40,
+    protein: 1.1,
+    carbs: 9.3,
+    fat: 0.1,
+    pieceGrams: 110,
+  },
+  {
+    name: 'Tomato',
+    keywords: ['tomato'],
+    calories: 18,
+    protein: 0.9,
+    carbs: 3.9,
+    fat: 0.2,
+    pieceGrams: 120,
+  },
+  {
+    name: 'Potato',
+    keywords: ['potato', 'aloo'],
+    calories: 77,
+    protein: 2,
+    carbs: 17,
+    fat: 0.1,
+    pieceGrams: 170,
+  },
+  {
+    name: 'Carrot',
+    keywords: ['carrot'],
+    calories: 41,
+    protein: 0.9,
+    carbs: 10,
+    fat: 0.2,
+    pieceGrams: 60,
+  },
+  {
+    name: 'Ginger',
+    keywords: ['ginger'],
+    calories: 80,
+    protein: 1.8,
+    carbs: 18,
+    fat: 0.8,
+    pieceGrams: 10,
+  },
+  {
+    name: 'Chilli (fresh)',
+    keywords: ['chilli', 'chili', 'jalapeno'],
+    calories: 40,
+    protein: 2,
+    carbs: 9,
+    fat: 0.2,
+    pieceGrams: 5,
+  },
+  {
+    name: 'Fresh herbs',
+    keywords: [
+      'coriander',
+      'cilantro',
+      'mint',
+      'basil',
+      'parsley',
+      'dill',
+      'curry leaf',
+    ],
+    calories: 23,
+    protein: 2.1,
+    carbs: 3.7,
+    fat: 0.5,
+    pieceGrams: 5,
+  },
+  {
+    name: 'Spinach',
+    keywords: ['spinach', 'palak'],
+    calories: 23,
+    protein: 2.9,
+    carbs: 3.6,
+    fat: 0.4,
+  },
+  {
+    name: 'Peas',
+    keywords: ['pea'],
+    calories: 81,
+    protein: 5.4,
+    carbs: 14,
+    fat: 0.4,
+  },
+  {
+    name: 'Mushrooms',
+    keywords: ['mushroom'],
+    calories: 22,
+    protein: 3.1,
+    carbs: 3.3,
+    fat: 0.3,
+    pieceGrams: 18,
+  },
+  {
+    name: 'Cabbage / cauliflower / broccoli',
+    keywords: ['cabbage', 'cauliflower', 'broccoli'],
+    calories: 28,
+    protein: 2,
+    carbs: 6,
+    fat: 0.3,
+  },
+  {
+    name: 'Cucumber',
+    keywords: ['cucumber'],
+    calories: 15,
+    protein: 0.7,
+    carbs: 3.6,
+    fat: 0.1,
+    pieceGrams: 200,
+  },
+  {
+    name: 'Lettuce',
+    keywords: ['lettuce'],
+    calories: 15,
+    protein: 1.4,
+    carbs: 2.9,
+    fat: 0.2,
+  },
+  {
+    name: 'Lemon / lime',
+    keywords: ['lemon', 'lime'],
+    calories: 29,
+    protein: 1.1,
+    carbs: 9,
+    fat: 0.3,
+    pieceGrams: 60,
+  },
+  {
+    name: 'Banana',
+    keywords: ['banana'],
+    calories: 89,
+    protein: 1.1,
+    carbs: 23,
+    fat: 0.3,
+    pieceGrams: 120,
+  },
+  {
+    name: 'Apple',
+    keywords: ['apple'],
+    calories: 52,
+    protein: 0.3,
+    carbs: 14,
+    fat: 0.2,
+    pieceGrams: 180,
+  },
+  {
+    name: 'Avocado',
+    keywords: ['avocado'],
+    calories: 160,
+    protein: 2,
+    carbs: 9,
+    fat: 15,
+    pieceGrams: 150,
+  },
+];
+
+// Weights of units that do not depend on the food; other count units
+// ("piece", "clove", "packet") use the food's pieceGrams
+const UNIT_GRAMS = {
+  pinch: 0.3,
+  dash: 0.6,
+  handful: 30,
+  bunch: 100,
+  can: 400,
+};
@@ -1,94 +1,247 @@
 /**
- * Unified App Logic - Storage, Recipes, Utils, and UI
- * Single consolidated file to replace all separate modules
+ * Unified App Logic - Recipes, Utils, and UI
+ * Single consolidated file to replace all separate modules; storage
+ * backends live in storage.js
  */
 
-// ========== STORAGE ==========
-const Storage = {
-  RECIPES_KEY: 'recipes',
+// ========== RECIPES LOGIC ==========
+const Recipes = {
+  // Parsed recipes, read from storage once and kept current by
+  // add/update/delete, so filtering never re-reads the library
+  cache: null,
 
-  getRecipes() {
-    try {
-      const data = localStorage.getItem(this.RECIPES_KEY);
-      return data ? JSON.parse(data) : [];
-    } catch (e) {
-      console.error('Error reading storage:', e);
-      localStorage.removeItem(this.RECIPES_KEY);
-      return [];
+  async init() {
+    await Storage.init();
+    const existing = await Storage.getRecipes();
+    // Seeding after a failed read would overwrite edited default recipes
+    if (!existing) throw new Error('Recipes could not be read');
+    if (existing.length === 0) {
+      await Storage.saveRecipes(DEFAULT_RECIPES.map(migrateRecipe));
+    } else {
+      await this.upgradeRecords(existing);
     }
+    await Storage.setValue(Storage.SCHEMA_VERSION_KEY, SCHEMA_VERSION);
+    await Activity.load();
+    await MealPlan.load();
+    await ShoppingList.load();
+    await this.purgeExpired(getTrashDays());
   },
 
-  saveRecipes(recipes) {
-    try {
-      if (!Array.isArray(recipes)) return false;
-      localStorage.setItem(this.RECIPES_KEY, JSON.stringify(recipes));
-      return true;
-    } catch (e) {
-      console.error('Error saving to storage:', e);
-      if (e.name === 'QuotaExceededError') {
-        alert('Storage full. Delete some recipes.');
-      }
-      return false;
+  /**
+   * Migrate stored records to the current schema. Records that fail
+   * migration or validation are moved to quarantine so the rest of the
+   * library still loads.
+   */
+  async upgradeRecords(records) {
+    const { valid, invalid } = checkRecords(records);
+    if (invalid.length > 0) {
+      console.error(`Quarantined ${invalid.length} invalid recipe(s)`);
+      // Quarantine first so a failed write never loses the originals
+      if (!(await Storage.addToQuarantine(invalid))) return;
+      await Storage.replaceRecipes(valid);
+      return;
     }
+    const upgraded = valid.filter((recipe) => !records.includes(recipe));
+    if (upgraded.length > 0) await Storage.saveRecipes(upgraded);
   },
 
-  isAvailable() {
-    try {
-      const test = '__test__';
-      localStorage.setItem(test, test);
-      localStorage.removeItem(test);
-      return true;
-    } catch (e) {
-      return false;
-    }
+  /**
+   * @returns {Promise<Array>} A copy of the list; the recipes themselves
+   *   are shared and must not be modified
+   */
+  async getAll() {
+    // A failed read is not cached, so the next call tries again
+    if (!this.cache) this.cache = await Storage.getRecipes();
+    return [...(this.cache || [])];
   },
-};
 
-// ========== RECIPES LOGIC ==========
-const Recipes = {
-  init() {
-    if (!Storage.isAvailable()) {
-      console.error('localStorage not available');
-      return;
-    }
-    const existing = Storage.getRecipes();
-    if (existing.length === 0) {
-      Storage.saveRecipes(DEFAULT_RECIPES);
-    }
+  /**
+   * Forget what was read, e.g. after another tab changed the library
+   */
+  invalidate() {
+    this.cache = null;
+    SearchIndex.ready = false;
   },
 
-  getAll() {
-    return Storage.getRecipes();
+  cacheRecipe(recipe) {
+    if (!this.cache) return;
+    const index = this.cache.findIndex((r) => r.id === recipe.id);
+    if (index === -1) this.cache.push(recipe);
+    else this.cache[index] = recipe;
+  },
+
+  async getById(id) {
+    const recipes = await this.getAll();
+    return recipes.find((r) => r.id === id) || null;
+  },
+
+  /**
+   * @param {Object} data
+   * @param {Object} [options]
+   * @param {boolean} [options.fromTrash] - Restoring a trashed recipe,
+   *   which may take back its own reserved id
+   */
+  async add(data, { fromTrash = false } = {}) {
+    const recipes = await this.getAll();
+    // Without the library, a kept id could overwrite an existing recipe
+    if (!this.cache) return null;
+    // Imported recipes keep their id unless it is already taken. Ids in the
+    // trash stay reserved: their activity and history are still kept.
+    const trashIds = (await Storage.getTrash()).map((item) => item.recipe.id);
+    const taken =
+      recipes.some((r) => r.id === data.id) ||
+      (!fromTrash && trashIds.includes(data.id));
+    const id =
+      Number.isInteger(data.id) && !taken
+        ? data.id
+        : this.nextId(recipes, trashIds);
+    const recipe = { ...data, id, schemaVersion: SCHEMA_VERSION };
+    if (!(await Storage.saveRecipe(recipe))) return null;
+    this.cacheRecipe(recipe);
+    SearchIndex.update(recipe);
+    return recipe;
   },
 
-  getById(id) {
-    return this.getAll().find((r) => r.id === id) || null;
+  /**
+   * Timestamp-based id, bumped past existing ids so that several recipes
+   * added within the same millisecond (e.g. on import) never collide
+   */
+  nextId(recipes, reservedIds = []) {
+    return recipes
+      .map((r) => r.id)
+      .concat(reservedIds)
+      .reduce((max, id) => Math.max(max, id + 1), Date.now());
   },
 
-  add(data) {
-    const recipes = this.getAll();
-    const recipe = { id: Date.now(), ...data };
-    recipes.push(recipe);
-    return Storage.saveRecipes(recipes) ? recipe : null;
+  async update(id, data) {
+    const existing = await this.getById(id);
+    if (!existing) return null;
+    const recipe = { ...existing, ...data, id, schemaVersion: SCHEMA_VERSION };
+    if (!(await Storage.saveRecipe(recipe))) return null;
+    this.cacheRecipe(recipe);
+    SearchIndex.update(recipe);
+    await Revisions.record(existing, recipe);
+    return recipe;
+  },
+
+  /**
+   * Bring back the content of an earlier revision, as a new revision.
+   * The current photo is kept: replaced photos are not stored.
+   * @returns {Promise<Object|null>} The updated recipe
+   */
+  async revert(id, revisionId) {
+    const revision = (await Revisions.list(id)).find(
+      (r) => r.id === revisionId
+    );
+    if (!revision) return null;
+    const data = {};
+    RECIPE_FIELDS.forEach((field) => {
+      data[field] = revision.recipe[field];
+    });
+    return this.update(id, data);
+  },
+
+  /**
+   * Move a recipe to the trash. Its favorites, cooking log and photo are
+   * kept until it is purged; planned meals show it as deleted meanwhile.
+   * @returns {Promise<boolean>} Success status
+   */
+  async delete(id) {
+    const recipe = await this.getById(id);
+    if (!recipe || !(await Storage.addToTrash(recipe))) return false;
+    const deleted = await Storage.deleteRecipe(id);
+    if (deleted) {
+      if (this.cache) this.cache = this.cache.filter((r) => r.id !== id);
+      SearchIndex.remove(id);
+      await MealPlan.flagRecipe(id);
+    } else {
+      await Storage.removeFromTrash([id]);
+    }
+    return deleted;
+  },
+
+  /**
+   * Bring a recipe back from the trash, under its old id when still free.
+   * Under a new id, its activity, history and planned meals move along.
+   * @returns {Promise<Object|null>} The restored recipe
+   */
+  async restore(id) {
+    const item = (await Storage.getTrash()).find((i) => i.recipe.id === id);
+    if (!item) return null;
+    let recipe;
+    try {
+      // It may have been trashed by an older version of the app
+      recipe = await this.add(migrateRecipe(item.recipe), {
+        fromTrash: true,
+      });
+    } catch (e) {
+      console.error('Error restoring recipe:', e);
+      return null;
+    }
+    if (!recipe) return null;
+    await Storage.removeFromTrash([id]);
+    await MealPlan.unflagRecipe(id, recipe.id);
+    if (recipe.id !== id) {
+      await Activity.move(id, recipe.id);
+      await Revisions.move(id, recipe.id);
+    }
+    return recipe;
   },
 
-  update(id, data) {
-    const recipes = this.getAll();
-    const idx = recipes.findIndex((r) => r.id === id);
-    if (idx === -1) return null;
-    recipes[idx] = { ...recipes[idx], ...data, id };
-    return Storage.saveRecipes(recipes) ? recipes[idx] : null;
+  /**
+   * Delete trashed recipes for good, with their activity, history and
+   * photos. Anything a live recipe still uses (the same id, e.g. from
+   * data saved before ids in the trash were reserved, or the same photo)
+   * is kept.
+   * @param {number[]} ids
+   * @returns {Promise<boolean>} Success status
+   */
+  async purge(ids) {
+    const purged = (await Storage.getTrash()).filter((item) =>
+      ids.includes(item.recipe.id)
+    );
+    if (!(await Storage.removeFromTrash(ids))) return false;
+    const live = await this.getAll();
+    const orphaned = purged.filter(
+      (item) => !live.some((r) => r.id === item.recipe.id)
+    );
+    await Revisions.remove(orphaned.map((item) => item.recipe.id));
+    for (const { recipe } of orphaned) await Activity.remove(recipe.id);
+    for (const { recipe } of purged) {
+      const shared = live.some((r) => r.imageId === recipe.imageId);
+      if (recipe.imageId && !shared) await Storage.deleteImage(recipe.imageId);
+    }
+    return true;
   },
 
-  delete(id) {
-    const recipes = this.getAll().filter((r) => r.id !== id);
-    return Storage.saveRecipes(recipes);
+  /**
+   * Purge recipes that have been in the trash longer than `days`
+   * @param {number} days - 0 keeps them forever
+   */
+  async purgeExpired(days) {
+    if (!days) return;
+    const cutoff = Date.now() - days * DAY_MS;
+    const expired = (await Storage.getTrash())
+      .filter((item) => Date.parse(item.deletedAt) < cutoff)
+      .map((item) => item.recipe.id);
+    if (expired.length > 0) await this.purge(expired);
   },
 
-  search(query) {
-    if (!query) return this.getAll();
-    const q = query.toLowerCase();
-    return this.getAll().filter((r) => r.title.toLowerCase().includes(q));
+  /**
+   * Full-text search over title, description, ingredients and steps
+   * @param {string} query
+   * @returns {Promise<Array>} Matching recipes, best match first; all
+   *   recipes in stored order for an empty query
+   */
+  async search(query) {
+    const recipes = await this.getAll();
+    if (!query || !query.trim()) return recipes;
+    // Built on first use, then kept current by add/update/delete
+    if (!SearchIndex.ready) SearchIndex.build(recipes);
+    const byId = new Map(recipes.map((r) => [r.id, r]));
+    return SearchIndex.search(query)
+      .map((hit) => byId.get(hit.id))
+      .filter(Boolean);
   },
 
   filterByDifficulty(recipes, difficulty) {
@@ -101,18 +254,429 @@ const Recipes = {
     return recipes.filter((r) => r.prepTime + r.cookTime <= maxTime);
   },
 
+  /**
+   * Recipes whose estimated calories per serving are within the limit.
+   * Recipes with no countable ingredients are left out.
+   */
+  filterByCalories(recipes, maxCalories) {
+    if (!maxCalories) return recipes;
+    return recipes.filter((r) => {
+      const estimate = estimateNutrition(r);
+      return (
+        estimate.counted > 0 && estimate.perServing.calories <= maxCalories
+      );
+    });
+  },
+
+  /**
+   * @param {string[]} excluded - Allergen keys the recipe must not contain
+   */
+  filterByAllergens(recipes, excluded) {
+    if (excluded.length === 0) return recipes;
+    return recipes.filter(
+      (r) => !detectDiet(r).allergens.some((a) => excluded.includes(a))
+    );
+  },
+
   filterByType(recipes, type) {
     if (!type || type === 'all') return recipes;
     return recipes.filter((r) => r.type === type);
   },
+
+  filterByFavorites(recipes, favoritesOnly) {
+    if (!favoritesOnly) return recipes;
+    return recipes.filter((r) => Activity.get(r.id).favorite);
+  },
+
+  /**
+   * Reorder recipes; ties keep their current order
+   * @param {Array} recipes
+   * @param {string} order - A key of SORT_ORDERS, or '' to keep as is
+   */
+  sortBy(recipes, order) {
+    const compare = SORT_ORDERS[order];
+    if (!compare) return recipes;
+    return [...recipes].sort(compare);
+  },
+
+  /**
+   * @param {Array} recipes
+   * @param {string[]} facets - Keys such as 'cuisine:indian' or 'tag:quick'
+   * @param {string} mode - 'all' to require every facet, 'any' for one
+   */
+  filterByFacets(recipes, facets, mode = 'all') {
+    if (facets.length === 0) return recipes;
+    return recipes.filter((r) => {
+      const own = getRecipeFacets(r);
+      return mode === 'any'
+        ? facets.some((f) => own.includes(f))
+        : facets.every((f) => own.includes(f));
+    });
+  },
+};
+
+// ========== SORTING ==========
+const TITLE_COLLATOR = new Intl.Collator(undefined, {
+  sensitivity: 'base',
+  numeric: true,
+});
+const DIFFICULTY_RANK = { easy: 0, medium: 1, hard: 2 };
+
+function compareBy(key, descending = false) {
+  return (a, b) => {
+    const ka = key(a);
+    const kb = key(b);
+    const order = ka < kb ? -1 : ka > kb ? 1 : 0;
+    return descending ? -order : order;
+  };
+}
+
+// Comparators for the "Sort by" options
+const SORT_ORDERS = {
+  title: (a, b) => TITLE_COLLATOR.compare(a.title, b.title),
+  time: compareBy((r) => (r.prepTime || 0) + (r.cookTime || 0)),
+  difficulty: compareBy((r) => DIFFICULTY_RANK[r.difficulty] ?? 3),
+  // Ids are creation timestamps
+  newest: compareBy((r) => r.id, true),
+  rating: compareBy((r) => Activity.get(r.id).rating, true),
+  cooked: compareBy((r) => Activity.get(r.id).log.length, true),
+  // ISO dates compare as strings; never cooked sorts last
+  recent: compareBy((r) => Activity.lastCooked(r.id) || '', true),
+};
+
+// ========== ACTIVITY ==========
+/**
+ * Favorites, ratings and the cooking log. Kept under their own storage key,
+ * apart from recipe records, so saving a recipe never touches them.
+ */
+const Activity = {
+  data: {}, // recipeId -> { favorite, rating, log: [{ id, date, notes }] }
+
+  async load() {
+    this.data = await Storage.getValue(Storage.ACTIVITY_KEY, {});
+  },
+
+  get(id) {
+    return this.data[id] || { favorite: false, rating: 0, log: [] };
+  },
+
+  /**
+   * @returns {Promise<boolean>} Success status
+   */
+  set(id, changes) {
+    this.data = { ...this.data, [id]: { ...this.get(id), ...changes } };
+    return Storage.setValue(Storage.ACTIVITY_KEY, this.data);
+  },
+
+  remove(id) {
+    if (!this.data[id]) return Promise.resolve(true);
+    const { [id]: removed, ...rest } = this.data;
+    this.data = rest;
+    return Storage.setValue(Storage.ACTIVITY_KEY, this.data);
+  },
+
+  /**
+   * Hand a recipe's activity over to a new id
+   */
+  move(fromId, toId) {
+    if (!this.data[fromId]) return Promise.resolve(true);
+    const { [fromId]: moved, ...rest } = this.data;
+    this.data = { ...rest, [toId]: moved };
+    return Storage.setValue(Storage.ACTIVITY_KEY, this.data);
+  },
+
+  toggleFavorite(id) {
+    return this.set(id, { favorite: !this.get(id).favorite });
+  },
+
+  /**
+   * @param {number} rating - 1-5, or 0 to clear
+   */
+  setRating(id, rating) {
+    return this.set(id, { rating });
+  },
+
+  /**
+   * @param {string} date - YYYY-MM-DD
+   * @param {string} notes
+   */
+  logCooked(id, date, notes) {
+    const entry = { id: Date.now(), date, notes };
+    return this.set(id, { log: [...this.get(id).log, entry] });
+  },
+
+  removeLogEntry(id, entryId) {
+    return this.set(id, {
+      log: this.get(id).log.filter((entry) => entry.id !== entryId),
+    });
+  },
+
+  /**
+   * @returns {string|null} Most recent YYYY-MM-DD date, if ever cooked
+   */
+  lastCooked(id) {
+    return this.get(id).log.reduce(
+      (latest, entry) => (!latest || entry.date > latest ? entry.date : latest),
+      null
+    );
+  },
+};
+
+// ========== MEAL PLAN ==========
+const MEAL_SLOTS = {
+  breakfast: 'Breakfast',
+  lunch: 'Lunch',
+  dinner: 'Dinner',
+  snack: 'Snack',
+};
+
+/**
+ * Planned meals as a flat list of entries. Each keeps a copy of the recipe
+ * title so a slot still makes sense after its recipe is deleted.
+ */
+const MealPlan = {
+  entries: [], // [{ id, date, slot, recipeId, title, servings, missing? }]
+
+  async load() {
+    this.entries = await Storage.getValue(Storage.MEAL_PLAN_KEY, []);
+  },
+
+  save() {
+    return Storage.setValue(Storage.MEAL_PLAN_KEY, this.entries);
+  },
+
+  nextId() {
+    return this.entries.reduce((max, e) => Math.max(max, e.id + 1), Date.now());
+  },
+
+  /**
+   * @param {string} weekStart - Monday, YYYY-MM-DD
+   * @returns {Array} Entries from that Monday to Sunday
+   */
+  getWeek(weekStart) {
+    const end = addDays(weekStart, 7);
+    return this.entries.filter((e) => e.date >= weekStart && e.date < end);
+  },
+
+  add(date, slot, recipe, servings) {
+    const entry = {
+      id: this.nextId(),
+      date,
+      slot,
+      recipeId: recipe.id,
+      title: recipe.title,
+      servings,
+    };
+    this.entries = [...this.entries, entry];
+    return this.save();
+  },
+
+  update(id, changes) {
+    this.entries = this.entries.map((e) =>
+      e.id === id ? { ...e, ...changes } : e
+    );
+    return this.save();
+  },
+
+  remove(id) {
+    this.entries = this.entries.filter((e) => e.id !== id);
+    return this.save();
+  },
+
+  /**
+   * Replace a week's entries with copies of the week before
+   * @param {string} weekStart - Monday of the week to fill
+   */
+  copyPreviousWeek(weekStart) {
+    const end = addDays(weekStart, 7);
+    let id = this.nextId();
+    const copies = this.getWeek(addDays(weekStart, -7)).map((e) => ({
+      ...e,
+      id: id++,
+      date: addDays(e.date, 7),
+    }));
+    this.entries = this.entries
+      .filter((e) => e.date < weekStart || e.date >= end)
+      .concat(copies);
+    return this.save();
+  },
+
+  countRecipe(recipeId) {
+    return this.entries.filter((e) => e.recipeId === recipeId && !e.missing)
+      .length;
+  },
+
+  /**
+   * Mark a deleted recipe's entries so the planner can show them as such
+   * instead of pointing at a recipe that no longer exists
+   */
+  flagRecipe(recipeId) {
+    if (this.countRecipe(recipeId) === 0) return Promise.resolve(true);
+    this.entries = this.entries.map((e) =>
+      e.recipeId === recipeId ? { ...e, missing: true } : e
+    );
+    return this.save();
+  },
+
+  /**
+   * The recipe is back from the trash, possibly under a new id. Only
+   * flagged entries move: any others belong to a live recipe with the old id.
+   * @param {number} recipeId - Id it was trashed with
+   * @param {number} [newId] - Id it was restored under
+   */
+  unflagRecipe(recipeId, newId = recipeId) {
+    if (!this.entries.some((e) => e.recipeId === recipeId && e.missing)) {
+      return Promise.resolve(true);
+    }
+    this.entries = this.entries.map((e) => {
+      if (e.recipeId !== recipeId || !e.missing) return e;
+      const { missing, ...entry } = e;
+      return { ...entry, recipeId: newId };
+    });
+    return this.save();
+  },
+};
+
+// ========== SHOPPING LIST ==========
+/**
+ * The current shopping list. It is a snapshot: items are merged when the
+ * list is built, so later recipe edits do not change it, and each item
+ * keeps its own check-off state.
+ */
+const ShoppingList = {
+  // { createdAt, sources: [{ recipeId, title, servings }],
+  //   items: [{ name, aisle, amounts, recipes, checked }] }
+  list: null,
+
+  async load() {
+    this.list = await Storage.getValue(Storage.SHOPPING_KEY, null);
+  },
+
+  save() {
+    return Storage.setValue(Storage.SHOPPING_KEY, this.list);
+  },
+
+  /**
+   * Build a new list, replacing the current one
+   * @param {Array<{recipe: Object, servings: number}>} sources - The same
+   *   recipe may appear several times, e.g. once per planned meal
+   * @param {string[]} pantry - Normalized pantry entries, checked off already
+   */
+  create(sources, pantry = []) {
+    const merged = new Map();
+    sources.forEach(({ recipe, servings }) => {
+      const source = merged.get(recipe.id);
+      merged.set(recipe.id, {
+        recipe,
+        servings: (source ? source.servings : 0) + servings,
+      });
+    });
+    const combined = [...merged.values()];
+    this.list = {
+      createdAt: new Date().toISOString(),
+      sources: combined.map(({ recipe, servings }) => ({
+        recipeId: recipe.id,
+        title: recipe.title,
+        servings,
+      })),
+      items: buildShoppingItems(combined, pantry),
+    };
+    return this.save();
+  },
+
+  toggle(index) {
+    const item = this.list?.items[index];
+    if (!item) return Promise.resolve(false);
+    item.checked = !item.checked;
+    return this.save();
+  },
+
+  clear() {
+    this.list = null;
+    return Storage.deleteValue(Storage.SHOPPING_KEY);
+  },
+};
+
+// ========== REVISIONS ==========
+// Saved versions kept per recipe; the oldest are dropped beyond this
+const MAX_REVISIONS = 20;
+
+/**
+ * Version history of edited recipes. Read from storage when needed rather
+ * than kept in memory, since only the history page uses it.
+ */
+const Revisions = {
+  /**
+   * @returns {Promise<Object>} recipeId -> [{ id, savedAt, recipe }],
+   *   oldest first
+   */
+  getAll() {
+    return Storage.getValue(Storage.REVISIONS_KEY, {});
+  },
+
+  async list(recipeId) {
+    const revisions = (await this.getAll())[recipeId] || [];
+    // Versions saved before a schema upgrade are brought up to date
+    return revisions.map((r) => ({ ...r, recipe: migrateRecipe(r.recipe) }));
+  },
+
+  /**
+   * Record a saved version. The first edit of a recipe also records the
+   * version it replaced (with no date), so that it can be diffed and
+   * reverted to.
+   * @param {Object} previous - The recipe before the update
+   * @param {Object} recipe - The recipe as saved
+   * @returns {Promise<boolean>} Success status
+   */
+  async record(previous, recipe) {
+    // Saving without changes (or changing only the photo) adds nothing
+    if (diffRecipes(previous, recipe).length === 0) return true;
+    const all = await this.getAll();
+    let revisions = all[recipe.id] || [];
+    if (revisions.length === 0) {
+      revisions = [{ id: 1, savedAt: null, recipe: previous }];
+    }
+    const id = revisions[revisions.length - 1].id + 1;
+    revisions = [
+      ...revisions,
+      { id, savedAt: new Date().toISOString(), recipe },
+    ].slice(-MAX_REVISIONS);
+    return Storage.setValue(Storage.REVISIONS_KEY, {
+      ...all,
+      [recipe.id]: revisions,
+    });
+  },
+
+  /**
+   * @param {number[]} recipeIds
+   * @returns {Promise<boolean>} Success status
+   */
+  async remove(recipeIds) {
+    const all = await this.getAll();
+    const kept = { ...all };
+    recipeIds.forEach((id) => delete kept[id]);
+    if (Object.keys(kept).length === Object.keys(all).length) return true;
+    return Storage.setValue(Storage.REVISIONS_KEY, kept);
+  },
+
+  /**
+   * Hand a recipe's history over to a new id
+   * @returns {Promise<boolean>} Success status
+   */
+  async move(fromId, toId) {
+    const { [fromId]: moved, ...rest } = await this.getAll();
+    if (!moved) return true;
+    return Storage.setValue(Storage.REVISIONS_KEY, { ...rest, [toId]: moved });
+  },
 };
 
 // ========== UTILITIES ==========
+// Quotes are escaped too, so the result is also safe in attribute values
 function escapeHtml(text) {
   if (typeof text !== 'string') return '';
   const div = document.createElement('div');
   div.textContent = text;
-  return div.innerHTML;
+  return div.innerHTML.replace(/"/g, '&quot;').replace(/'/g, '&#39;');
 }
 
 function getDifficultyBadge(difficulty) {
@@ -134,8 +698,29 @@ function getTypeBadge(type) {
   return `<span class="type-badge ${t.class}">${t.text}</span>`;
 }
 
+/**
+ * Badges for the diets a recipe suits and the allergens it contains
+ * @param {Object} recipe
+ * @returns {string} HTML
+ */
+function getDietBadges(recipe) {
+  const { diets, allergens } = detectDiet(recipe);
+  return [
+    ...diets.map(
+      (diet) => `<span class="diet-badge">${escapeHtml(DIETS[diet])}</span>`
+    ),
+    ...ALLERGENS.filter((allergen) => allergens.includes(allergen.key)).map(
+      (allergen) =>
+        `<span class="allergen-badge" title="Contains ${allergen.label.toLowerCase()}">${escapeHtml(
+          allergen.label
+        )}</span>`
+    ),
+  ].join('');
+}
+
 function isValidUrl(url) {
-  if (!url || !url.trim()) return true;
+  if (typeof url !== 'string') return false;
+  if (!url.trim()) return true;
   try {
     new URL(url);
     return true;
@@ -151,6 +736,60 @@ function appendCacheBuster(url) {
   return url + sep + '_cb=' + Date.now();
 }
 
+/**
+ * Offer text content as a file download
+ * @param {string} filename
+ * @param {string} content
+ * @param {string} type - MIME type
+ */
+function downloadFile(filename, content, type = 'text/plain') {
+  const url = URL.createObjectURL(new Blob([content], { type }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+// Today as YYYY-MM-DD in local time
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function todayIso() {
+  const now = new Date();
+  return new Date(now.getTime() - now.getTimezoneOffset() * 60000)
+    .toISOString()
+    .slice(0, 10);
+}
+
+function isIsoDate(value) {
+  return (
+    /^\d{4}-\d{2}-\d{2}$/.test(value) && !isNaN(new Date(`${value}T00:00:00Z`))
+  );
+}
+
+// Calendar arithmetic on YYYY-MM-DD strings, in UTC so DST never shifts a day
+function addDays(isoDate, days) {
+  const date = new Date(`${isoDate}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + days);
+  return date.toISOString().slice(0, 10);
+}
+
+// Monday of the week containing the date
+function startOfWeek(isoDate) {
+  const day = new Date(`${isoDate}T00:00:00Z`).getUTCDay();
+  return addDays(isoDate, -((day + 6) % 7));
+}
+
+function formatDate(isoDate) {
+  return new Date(`${isoDate}T00:00`).toLocaleDateString(undefined, {
+    year: 'numeric',
+    month: 'short',
+    day: 'numeric',
+  });
+}
+
 function debounce(func, wait) {
   let timeout;
   return function (...args) {
@@ -169,458 +808,5978 @@ function clearFieldError(fieldId) {
   if (el) el.textContent = '';
 }
 
-// ========== UI - RECIPE CARDS ==========
-function createRecipeCard(recipe) {
-  const time = recipe.prepTime + recipe.cookTime;
-  const badge = getDifficultyBadge(recipe.difficulty);
+// ========== INGREDIENTS ==========
+/**
+ * Known units keyed by their canonical short form. `plural` is only set for
+ * units that are pluralised when displayed ("2 cups", but "2 tbsp").
+ */
+const INGREDIENT_UNITS = {
+  g: { aliases: ['g', 'gm', 'gms', 'gr', 'gram', 'grams'] },
+  kg: { aliases: ['kg', 'kgs', 'kilo', 'kilos', 'kilogram', 'kilograms'] },
+  mg: { aliases: ['mg', 'milligram', 'milligrams'] },
+  ml: {
+    aliases: ['ml', 'millilitre', 'millilitres', 'milliliter', 'milliliters'],
+  },
+  l: { aliases: ['l', 'ltr', 'litre', 'litres', 'liter', 'liters'] },
+  tsp: { aliases: ['tsp', 'tsps', 'teaspoon', 'teaspoons'] },
+  tbsp: { aliases: ['tbsp', 'tbsps', 'tbs', 'tablespoon', 'tablespoons'] },
+  cup: { plural: 'cups', aliases: ['cup', 'cups'] },
+  'fl oz': { aliases: ['fl oz', 'fl. oz', 'fluid ounce', 'fluid ounces'] },
+  oz: { aliases: ['oz', 'ounce', 'ounces'] },
+  lb: { aliases: ['lb', 'lbs', 'pound', 'pounds'] },
+  pint: { plural: 'pints', aliases: ['pint', 'pints', 'pt'] },
+  quart: { plural: 'quarts', aliases: ['quart', 'quarts', 'qt'] },
+  pinch: { plural: 'pinches', aliases: ['pinch', 'pinches'] },
+  dash: { plural: 'dashes', aliases: ['dash', 'dashes'] },
+  clove: { plural: 'cloves', aliases: ['clove', 'cloves'] },
+  packet: {
+    plural: 'packets',
+    aliases: ['packet', 'packets', 'pack', 'packs'],
+  },
+  can: { plural: 'cans', aliases: ['can', 'cans', 'tin', 'tins'] },
+  piece: { plural: 'pieces', aliases: ['piece', 'pieces', 'pc', 'pcs'] },
+  slice: { plural: 'slices', aliases: ['slice', 'slices'] },
+  bunch: { plural: 'bunches', aliases: ['bunch', 'bunches'] },
+  sprig: { plural: 'sprigs', aliases: ['sprig', 'sprigs'] },
+  stick: { plural: 'sticks', aliases: ['stick', 'sticks'] },
+  handful: { plural: 'handfuls', aliases: ['handful', 'handfuls'] },
+};
 
-  let svgContent;
-  if (recipe.type === 'veg') {
-    svgContent = `<svg width="24" height="24" viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg">
-  <rect x="2" y="2" width="20" height="20" fill="none" stroke="#00A651" stroke-width="2"/>
-  <circle cx="12" cy="12" r="6" fill="#00A651"/>
-</svg>
-`;
-  } else if (recipe.type === 'non-veg') {
-    svgContent = `<svg width="24" height="24" viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg">
-  <rect x="2" y="2" width="20" height="20" fill="none" stroke="#FF0000" stroke-width="2"/>
-  <circle cx="12" cy="12" r="6" fill="#FF0000"/>
-</svg>
-`;
-  } else {
-    svgContent = '';
-  }
+const UNIT_LOOKUP = Object.entries(INGREDIENT_UNITS).reduce(
+  (lookup, [unit, def]) => {
+    def.aliases.forEach((alias) => (lookup[alias] = unit));
+    return lookup;
+  },
+  {}
+);
 
-  const icon = svgContent
-    ? `<div class="recipe-card-icon">${svgContent}</div>`
-    : '';
+const UNICODE_FRACTIONS = {
+  '½': 1 / 2,
+  '⅓': 1 / 3,
+  '⅔': 2 / 3,
+  '¼': 1 / 4,
+  '¾': 3 / 4,
+  '⅛': 1 / 8,
+  '⅜': 3 / 8,
+  '⅝': 5 / 8,
+  '⅞': 7 / 8,
+};
 
-  let img = '';
-  if (recipe.imageUrl && recipe.imageUrl.trim()) {
-    img = `<img src="${escapeHtml(recipe.imageUrl)}"
-           alt="${escapeHtml(recipe.title)}" class="recipe-card-image">`;
+const NUMBER_PATTERN =
+  '(?:\\d+\\s+\\d+\\/\\d+|\\d+\\/\\d+|\\d+\\s*[½⅓⅔¼¾⅛⅜⅝⅞]|[½⅓⅔¼¾⅛⅜⅝⅞]|\\d*\\.\\d+|\\d+)';
+const QUANTITY_RE = new RegExp(
+  `^(${NUMBER_PATTERN})(?:\\s*(?:-|–|—|to)\\s*(${NUMBER_PATTERN}))?`
+);
+// Longest aliases first so "fl oz" wins over "oz"
+const UNIT_RE = new RegExp(
+  `^(${Object.keys(UNIT_LOOKUP)
+    .sort((a, b) => b.length - a.length)
+    .map((alias) => alias.replace(/[.]/g, '\\.'))
+    .join('|')})(?![a-z])\\.?`,
+  'i'
+);
+// Trailing phrases that describe an ingredient rather than name it
+const NOTE_SUFFIX_RE =
+  /^(.+?)\s+(to taste|as needed|as required|optional|for \w+(?: \w+)?)$/i;
+
+/**
+ * Parse a single number: "2", "1.5", "1/2", "2 1/4", "½" or "1½"
+ * @param {string} text
+ * @returns {number|null}
+ */
+function parseNumber(text) {
+  const value = text.trim();
+  let match = value.match(/^(\d+)\s*([½⅓⅔¼¾⅛⅜⅝⅞])$/);
+  if (match) return parseInt(match[1]) + UNICODE_FRACTIONS[match[2]];
+  if (UNICODE_FRACTIONS[value]) return UNICODE_FRACTIONS[value];
+  match = value.match(/^(?:(\d+)\s+)?(\d+)\/(\d+)$/);
+  if (match) {
+    const denominator = parseInt(match[3]);
+    if (!denominator) return null;
+    return parseInt(match[1] || 0) + parseInt(match[2]) / denominator;
   }
+  const number = parseFloat(value);
+  return isNaN(number) ? null : number;
+}
 
-  return `
-    <div class="recipe-card" onclick="showRecipeDetail(${recipe.id})">
-      ${icon}
-      ${img}
-      <div class="recipe-card-content">
-        <h3 class="recipe-card-title">${escapeHtml(recipe.title)}</h3>
-        <p class="recipe-card-description">${escapeHtml(recipe.description)}</p>
-        <div class="recipe-card-meta">
-          <span class="recipe-card-time">⏱️ ${time} min</span>
-          ${badge}
-        </div>
-      </div>
-    </div>
-  `;
+/**
+ * Parse a quantity or range such as "3", "1/2" or "3-4"
+ * @param {string} text
+ * @returns {{quantity: number, quantityMax: number|null}|null}
+ */
+function parseQuantity(text) {
+  if (typeof text !== 'string') return null;
+  const match = text.trim().match(QUANTITY_RE);
+  if (!match || match[0].length !== text.trim().length) return null;
+  const quantity = parseNumber(match[1]);
+  const quantityMax = match[2] ? parseNumber(match[2]) : null;
+  if (quantity === null) return null;
+  return { quantity, quantityMax: quantityMax > quantity ? quantityMax : null };
 }
 
-function displayRecipes() {
-  const search = document.getElementById('searchInput')?.value || '';
-  const difficulty =
-    document.getElementById('difficultyFilter')?.value || 'all';
-  const maxTime = parseInt(
-    document.getElementById('prepTimeFilter')?.value || 0
-  );
-  const type = window.currentTypeFilter || 'all';
+/**
+ * Map a unit as written ("Tablespoons") to its canonical key ("tbsp").
+ * Unknown units are kept lower-cased so nothing the user typed is lost.
+ * @param {string} unit
+ * @returns {string}
+ */
+function normalizeUnit(unit) {
+  if (!unit || !unit.trim()) return '';
+  const key = unit.trim().toLowerCase().replace(/\.$/, '');
+  return UNIT_LOOKUP[key] || key;
+}
 
-  let filtered = Recipes.search(search);
-  filtered = Recipes.filterByDifficulty(filtered, difficulty);
-  filtered = Recipes.filterByTime(filtered, maxTime);
-  filtered = Recipes.filterByType(filtered, type);
+/**
+ * Read a leading amount ("2 1/4 cups", "400g", "3-4") off the start of text
+ * @param {string} text
+ * @returns {{quantity: number|null, quantityMax: number|null, unit: string, rest: string}}
+ */
+function parseAmount(text) {
+  const value = text.trim();
+  const quantityMatch = value.match(QUANTITY_RE);
+  if (!quantityMatch) {
+    return { quantity: null, quantityMax: null, unit: '', rest: value };
+  }
 
-  const grid = document.getElementById('recipesGrid');
-  const count = document.getElementById('recipeCount');
-  const noRecipes = document.getElementById('noRecipes');
+  const parsed = parseQuantity(quantityMatch[0]);
+  let rest = value.slice(quantityMatch[0].length).trim();
+  let unit = '';
+  const unitMatch = rest.match(UNIT_RE);
+  if (unitMatch) {
+    unit = normalizeUnit(unitMatch[1]);
+    rest = rest.slice(unitMatch[0].length).trim();
+  }
+  return { ...parsed, unit, rest };
+}
 
-  if (count)
-    count.textContent = `${filtered.length} recipe${
-      filtered.length !== 1 ? 's' : ''
-    } found`;
+/**
+ * Split a trailing description off a name: "Salt to taste", "Garlic, minced"
+ * @param {string} text
+ * @returns {{name: string, note: string}}
+ */
+function splitNote(text) {
+  const value = text.trim();
+  const comma = value.indexOf(',');
+  if (comma !== -1) {
+    return {
+      name: value.slice(0, comma).trim(),
+      note: value.slice(comma + 1).trim(),
+    };
+  }
+  const match = value.match(NOTE_SUFFIX_RE);
+  if (match) return { name: match[1].trim(), note: match[2].trim() };
+  return { name: value, note: '' };
+}
+
+/**
+ * Turn a free-text ingredient line into a structured ingredient.
+ * Understands both "Spaghetti (400g)" and "2 cups flour, sifted" styles.
+ * @param {string} text
+ * @returns {{quantity: number|null, quantityMax: number|null, unit: string, name: string, note: string}}
+ */
+function parseIngredient(text) {
+  const value = typeof text === 'string' ? text.trim() : '';
+  const notes = [];
+  let amount = { quantity: null, quantityMax: null, unit: '' };
+  let name;
 
-  if (filtered.length === 0) {
-    if (grid) grid.innerHTML = '';
-    if (noRecipes) noRecipes.style.display = 'block';
+  const paren = value.match(/^([^(]+?)\s*\(([^)]*)\)\s*(.*)$/);
+  const count = paren && paren[3] ? parseAmount(paren[1]) : null;
+  if (count && count.quantity !== null && !count.unit && !count.rest) {
+    // "1 (14 oz) can tomatoes" - a count, then the size of each in brackets
+    const packaged = parseAmount(`${paren[1]} ${paren[3]}`);
+    const split = splitNote(packaged.rest);
+    amount = packaged;
+    name = split.name;
+    notes.push(paren[2].trim(), split.note);
+  } else if (paren) {
+    // "Chillis (3-4, cut into small pieces)" - the amount lives in brackets
+    ({ name } = splitNote(paren[1]));
+    const [first, ...others] = paren[2].split(',');
+    const inner = parseAmount(first);
+    if (inner.quantity !== null) {
+      amount = inner;
+      if (inner.rest) notes.push(inner.rest);
+    } else {
+      notes.push(first.trim());
+    }
+    notes.push(...others.map((part) => part.trim()));
+    if (paren[3]) notes.push(paren[3].replace(/^,\s*/, ''));
   } else {
-    if (grid) grid.innerHTML = filtered.map(createRecipeCard).join('');
-    if (noRecipes) noRecipes.style.display = 'none';
+    // "2 cups flour, sifted" - the amount leads the line
+    const leading = parseAmount(value);
+    const split = splitNote(leading.rest);
+    if (leading.quantity !== null) amount = leading;
+    name = split.name;
+    if (split.note) notes.push(split.note);
   }
+
+  return {
+    quantity: amount.quantity,
+    quantityMax: amount.quantityMax,
+    unit: amount.unit,
+    name,
+    note: notes.filter((note) => note).join(', '),
+  };
 }
 
-// ========== FORM HANDLING ==========
-function loadRecipeForEdit(id) {
-  const recipe = Recipes.getById(id);
-  if (!recipe) {
-    alert('Recipe not found');
-    showHomePage();
-    return;
+/**
+ * Accept either a structured ingredient or a legacy string
+ * @param {Object|string} ingredient
+ * @returns {Object} Structured ingredient
+ */
+function toIngredient(ingredient) {
+  if (!ingredient || typeof ingredient !== 'object') {
+    return parseIngredient(typeof ingredient === 'string' ? ingredient : '');
   }
+  const text = (value) => (typeof value === 'string' ? value.trim() : '');
+  const number = (value) =>
+    typeof value === 'number' && isFinite(value) ? value : null;
+  return {
+    quantity: number(ingredient.quantity),
+    quantityMax: number(ingredient.quantityMax),
+    unit: normalizeUnit(text(ingredient.unit)),
+    name: text(ingredient.name),
+    note: text(ingredient.note),
+  };
+}
 
-  const title = document.getElementById('formTitle');
-  if (title) title.textContent = 'Edit Recipe';
+// Fractions a cook can actually measure, used when displaying amounts
+const KITCHEN_FRACTIONS = [
+  [0, ''],
+  [1 / 8, '⅛'],
+  [1 / 4, '¼'],
+  [1 / 3, '⅓'],
+  [3 / 8, '⅜'],
+  [1 / 2, '½'],
+  [5 / 8, '⅝'],
+  [2 / 3, '⅔'],
+  [3 / 4, '¾'],
+  [7 / 8, '⅞'],
+  [1, ''],
+];
 
-  document.getElementById('title').value = recipe.title || '';
-  document.getElementById('description').value = recipe.description || '';
-  document.getElementById('prepTime').value = recipe.prepTime || 0;
-  document.getElementById('cookTime').value = recipe.cookTime || 0;
-  document.getElementById('difficulty').value = recipe.difficulty || '';
-  if (document.getElementById('type'))
-    document.getElementById('type').value = recipe.type || '';
+// Metric amounts read better as decimals ("0.75 kg") than as fractions
+const DECIMAL_UNITS = ['mg', 'g', 'kg', 'ml', 'l'];
+
+/**
+ * Format a number as a whole number plus the nearest kitchen fraction
+ * ("1½"), or as a decimal for metric units
+ * @param {number} value
+ * @param {string} [unit]
+ * @returns {string}
+ */
+function formatNumber(value, unit = '') {
+  if (value >= 10) return String(Math.round(value));
+  if (DECIMAL_UNITS.includes(unit)) {
+    return String(Math.round(value * 100) / 100);
+  }
+  let whole = Math.floor(value);
+  const fraction = value - whole;
+  const [nearest, glyph] = KITCHEN_FRACTIONS.reduce((best, candidate) =>
+    Math.abs(candidate[0] - fraction) < Math.abs(best[0] - fraction)
+      ? candidate
+      : best
+  );
+  if (nearest === 1) whole += 1;
+  // A small amount scaled down is still there: show the smallest fraction
+  if (whole === 0 && !glyph && value > 0) return KITCHEN_FRACTIONS[1][1];
+  if (!glyph) return String(whole);
+  return whole ? `${whole}${glyph}` : glyph;
+}
+
+function formatQuantity(quantity, quantityMax, unit) {
+  if (typeof quantity !== 'number') return '';
+  const text = formatNumber(quantity, unit);
+  return typeof quantityMax === 'number'
+    ? `${text}–${formatNumber(quantityMax, unit)}`
+    : text;
+}
+
+function formatUnit(unit, quantity) {
+  const def = INGREDIENT_UNITS[unit];
+  if (!def) return unit || '';
+  return def.plural && quantity > 1 ? def.plural : unit;
+}
+
+/**
+ * Render a structured ingredient as one line: "2 cups Flour, sifted"
+ * @param {Object|string} ingredient
+ * @param {Object} [options]
+ * @param {boolean} [options.exact] - Quantities exactly as stored rather
+ *   than rounded to kitchen fractions, for text that is read back in
+ * @returns {string}
+ */
+function formatIngredient(ingredient, { exact = false } = {}) {
+  const ing = toIngredient(ingredient);
+  const largest = ing.quantityMax !== null ? ing.quantityMax : ing.quantity;
+  const parts = [
+    exact
+      ? formatQuantityInput(ing)
+      : formatQuantity(ing.quantity, ing.quantityMax, ing.unit),
+    formatUnit(ing.unit, largest),
+    ing.name,
+  ].filter((part) => part);
+  let line = parts.join(' ');
+  if (ing.note) {
+    // "Salt to taste" reads better without a comma than "Salt, to taste".
+    // Exact text must parse back, so it only drops the comma for the notes
+    // parseIngredient recognises.
+    const bare = exact
+      ? NOTE_SUFFIX_RE.test(`${ing.name} ${ing.note}`)
+      : /^(to|for|as)\b/i.test(ing.note);
+    line += bare ? ` ${ing.note}` : `, ${ing.note}`;
+  }
+  return line;
+}
+
+/**
+ * Multiply every amount of an ingredient; unmeasured ones stay as they are
+ * @param {Object} ing - Structured ingredient
+ * @param {number} factor
+ * @returns {Object}
+ */
+function scaleIngredient(ing, factor) {
+  if (ing.quantity === null || factor === 1) return ing;
+  return {
+    ...ing,
+    quantity: ing.quantity * factor,
+    quantityMax: ing.quantityMax !== null ? ing.quantityMax * factor : null,
+  };
+}
+
+// Recipes saved before servings existed are assumed to serve this many
+const DEFAULT_SERVINGS = 4;
+const MAX_SERVINGS = 50;
+
+// ========== SCHEMA MIGRATIONS ==========
+/**
+ * Every stored recipe carries the `schemaVersion` it was written with.
+ * Migrations run in order for each version a record is behind; one that
+ * throws sends the record to quarantine.
+ */
+const MIGRATIONS = [
+  {
+    version: 1,
+    description: 'structured ingredients',
+    migrate: (recipe) => ({
+      ...recipe,
+      ingredients: Array.isArray(recipe.ingredients)
+        ? recipe.ingredients.map(toIngredient)
+        : [],
+    }),
+  },
+  {
+    version: 2,
+    description: 'servings count',
+    migrate: (recipe) => ({
+      ...recipe,
+      servings: recipe.servings || DEFAULT_SERVINGS,
+    }),
+  },
+  {
+    version: 3,
+    description: 'canonical veg/non-veg type',
+    migrate: (recipe) => {
+      const aliases = {
+        veg: 'veg',
+        vegetarian: 'veg',
+        'non-veg': 'non-veg',
+        nonveg: 'non-veg',
+        'non-vegetarian': 'non-veg',
+      };
+      const key = String(recipe.type || '')
+        .trim()
+        .toLowerCase()
+        .replace(/[\s_]+/g, '-');
+      return { ...recipe, type: aliases[key] || recipe.type };
+    },
+  },
+  {
+    version: 4,
+    description: 'cuisine, course and tags',
+    migrate: (recipe) => ({
+      ...recipe,
+      cuisine: recipe.cuisine || '',
+      course: recipe.course || '',
+      tags: Array.isArray(recipe.tags)
+        ? normalizeTags(recipe.tags.filter((tag) => typeof tag === 'string'))
+        : [],
+    }),
+  },
+  {
+    version: 5,
+    description: 'uploaded photo reference',
+    migrate: (recipe) => ({
+      ...recipe,
+      imageId: typeof recipe.imageId === 'string' ? recipe.imageId : '',
+    }),
+  },
+];
+
+const SCHEMA_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+/**
+ * Bring a record up to the current schema version
+ * @param {Object} recipe - Record as stored or imported
+ * @returns {Object} The record itself when already current, else a copy
+ * @throws {Error} When a migration step fails
+ */
+function migrateRecipe(recipe) {
+  const from = recipe.schemaVersion || 0;
+  if (from >= SCHEMA_VERSION) return recipe;
+  const migrated = MIGRATIONS.filter((m) => m.version > from).reduce(
+    (record, migration) => {
+      try {
+        return migration.migrate(record);
+      } catch (e) {
+        throw new Error(
+          `Upgrade to v${migration.version} (${migration.description}) failed: ${e.message}`
+        );
+      }
+    },
+    recipe
+  );
+  return { ...migrated, schemaVersion: SCHEMA_VERSION };
+}
+
+/**
+ * Migrate and validate stored records
+ * @param {Array} records
+ * @returns {{valid: Array, invalid: Array<{record: *, errors: Array<string>}>}}
+ */
+function checkRecords(records) {
+  const valid = [];
+  const invalid = [];
+  records.forEach((record) => {
+    if (!record || typeof record !== 'object' || Array.isArray(record)) {
+      invalid.push({ record, errors: ['Not a recipe object'] });
+      return;
+    }
+    let recipe;
+    try {
+      recipe = migrateRecipe(record);
+    } catch (e) {
+      invalid.push({ record, errors: [e.message] });
+      return;
+    }
+    const errors = Object.values(validateRecipe(recipe));
+    if (!Number.isInteger(recipe.id)) errors.unshift('Missing or invalid id');
+    if (errors.length > 0) invalid.push({ record, errors });
+    else valid.push(recipe);
+  });
+  return { valid, invalid };
+}
+
+// ========== UNIT CONVERSION ==========
+const UNIT_SYSTEMS = {
+  original: 'As written',
+  metric: 'Metric',
+  us: 'US',
+};
+
+// Units each system displays as-is; spoons are used in both
+const SYSTEM_UNITS = {
+  metric: ['mg', 'g', 'kg', 'ml', 'l', 'tsp', 'tbsp'],
+  us: ['oz', 'lb', 'tsp', 'tbsp', 'fl oz', 'cup', 'pint', 'quart'],
+};
+
+// Converted amounts are rounded so they can actually be measured
+const UNIT_ROUNDING = {
+  oz: 1 / 4,
+  lb: 1 / 4,
+  kg: 0.05,
+  l: 0.05,
+  cup: 1 / 8,
+  tbsp: 1 / 2,
+  tsp: 1 / 8,
+};
+
+function getUnitSystem() {
+  const system = Storage.getPreference(Storage.UNIT_SYSTEM_KEY, 'original');
+  return UNIT_SYSTEMS[system] ? system : 'original';
+}
+
+/**
+ * Grams per cup for a staple such as flour or sugar, if known
+ * @param {string} name - Ingredient name
+ * @returns {number|null}
+ */
+function findDensity(name) {
+  const key = normalizeIngredientName(name);
+  const entry = INGREDIENT_DENSITIES.find((density) =>
+    ingredientMatches(key, { except: [], ...density })
+  );
+  return entry ? entry.gramsPerCup : null;
+}
+
+/**
+ * Choose the display unit for an amount of grams or ml
+ * @returns {string} Target unit
+ */
+function pickUnit(amount, type, system) {
+  if (system === 'metric') {
+    if (type === 'weight') return amount >= 1000 ? 'kg' : 'g';
+    return amount >= 1000 ? 'l' : 'ml';
+  }
+  if (type === 'weight') {
+    return amount >= UNIT_CONVERSIONS.lb.factor ? 'lb' : 'oz';
+  }
+  if (amount >= UNIT_CONVERSIONS.cup.factor / 4) return 'cup';
+  if (amount >= UNIT_CONVERSIONS.tbsp.factor) return 'tbsp';
+  return 'tsp';
+}
+
+function roundAmount(value, unit) {
+  const step = UNIT_ROUNDING[unit] || (value >= 100 ? 5 : 1);
+  return Math.max(Math.round(value / step) * step, step);
+}
+
+/**
+ * Express an ingredient in the chosen unit system. Cups of staples become
+ * grams (and back) through the density table; anything else that cannot be
+ * converted - "2 cloves", "Salt to taste" - is returned unchanged.
+ * @param {Object} ing - Structured ingredient
+ * @param {string} system - 'original', 'metric' or 'us'
+ * @returns {Object}
+ */
+function convertIngredient(ing, system) {
+  const from = UNIT_CONVERSIONS[ing.unit];
+  if (system === 'original' || ing.quantity === null || !from) return ing;
+
+  const density = findDensity(ing.name);
+  let type = from.type;
+  // Base units (g or ml) per one of the ingredient's unit
+  let factor = from.factor;
+  if (system === 'metric' && type === 'volume' && density) {
+    if (SYSTEM_UNITS.metric.includes(ing.unit)) return ing;
+    type = 'weight';
+    factor = (from.factor / UNIT_CONVERSIONS.cup.factor) * density;
+  } else if (system === 'us' && type === 'weight' && density) {
+    type = 'volume';
+    factor = (from.factor / density) * UNIT_CONVERSIONS.cup.factor;
+  } else if (SYSTEM_UNITS[system].includes(ing.unit)) {
+    return ing;
+  }
+
+  const unit = pickUnit(ing.quantity * factor, type, system);
+  const convert = (value) =>
+    roundAmount((value * factor) / UNIT_CONVERSIONS[unit].factor, unit);
+  return {
+    ...ing,
+    quantity: convert(ing.quantity),
+    quantityMax: ing.quantityMax !== null ? convert(ing.quantityMax) : null,
+    unit,
+  };
+}
+
+// ========== NUTRITION ==========
+// Mapping value for an ingredient the user chose not to count
+const NUTRITION_SKIP = 'none';
+
+// What the user said unrecognised ingredients are: normalized name ->
+// food name from NUTRITION_FOODS, or NUTRITION_SKIP
+let nutritionMappings = {};
+// Estimates by recipe object; recipes are replaced, never changed, on save
+let nutritionEstimates = new WeakMap();
+
+async function loadNutritionMappings() {
+  nutritionMappings = await Storage.getValue(
+    Storage.NUTRITION_MAPPINGS_KEY,
+    {}
+  );
+  nutritionEstimates = new WeakMap();
+}
+
+/**
+ * Food an ingredient is, from the user's mappings or the keyword table
+ * @param {string} name - Normalized ingredient name
+ * @returns {Object|string|null} A NUTRITION_FOODS entry, NUTRITION_SKIP,
+ *   or null when unknown
+ */
+function findNutritionFood(name) {
+  const mapped = Object.hasOwn(nutritionMappings, name)
+    ? nutritionMappings[name]
+    : null;
+  if (mapped === NUTRITION_SKIP) return NUTRITION_SKIP;
+  const food = NUTRITION_FOODS.find((entry) => entry.name === mapped);
+  if (food) return food;
+  const padded = ` ${name} `;
+  return (
+    NUTRITION_FOODS.find((entry) =>
+      entry.keywords.some((keyword) => padded.includes(` ${keyword} `))
+    ) || null
+  );
+}
+
+/**
+ * Weight of an ingredient amount. Ranges count as their middle.
+ * @param {Object} ing - Structured ingredient with a quantity
+ * @param {Object} food - Its NUTRITION_FOODS entry
+ * @returns {number|null} Grams, or null when it cannot be weighed
+ *   ("1 bunch" of a food without a piece weight)
+ */
+function ingredientGrams(ing, food) {
+  const amount =
+    ing.quantityMax !== null
+      ? (ing.quantity + ing.quantityMax) / 2
+      : ing.quantity;
+  const unit = UNIT_CONVERSIONS[ing.unit];
+  if (unit && unit.type === 'weight') return amount * unit.factor;
+  if (unit) {
+    const gramsPerCup =
+      findDensity(ing.name) || food.gramsPerCup || UNIT_CONVERSIONS.cup.factor;
+    return ((amount * unit.factor) / UNIT_CONVERSIONS.cup.factor) * gramsPerCup;
+  }
+  if (UNIT_GRAMS[ing.unit]) return amount * UNIT_GRAMS[ing.unit];
+  return food.pieceGrams ? amount * food.pieceGrams : null;
+}
+
+/**
+ * Estimate calories, protein, carbs and fat per serving
+ * @param {Object} recipe
+ * @returns {{perServing: Object, counted: number, unmatched: Array,
+ *   mapped: Array, unmeasured: string[]}} Ingredients not found in the table
+ *   (`unmatched`) or found through the user's mappings (`mapped`) come as
+ *   `{ name, key }`; `unmeasured` lists those without a usable amount
+ */
+function estimateNutrition(recipe) {
+  if (nutritionEstimates.has(recipe)) return nutritionEstimates.get(recipe);
+  const totals = { calories: 0, protein: 0, carbs: 0, fat: 0 };
+  const estimate = { counted: 0, unmatched: [], mapped: [], unmeasured: [] };
+
+  recipe.ingredients.forEach((ing) => {
+    const key = normalizeIngredientName(ing.name);
+    const food = findNutritionFood(key);
+    if (Object.hasOwn(nutritionMappings, key)) {
+      estimate.mapped.push({ name: ing.name, key });
+    }
+    if (food === NUTRITION_SKIP) return;
+    if (ing.quantity === null) {
+      estimate.unmeasured.push(ing.name);
+      return;
+    }
+    if (!food) {
+      estimate.unmatched.push({ name: ing.name, key });
+      return;
+    }
+    const grams = ingredientGrams(ing, food);
+    if (grams === null) {
+      estimate.unmeasured.push(ing.name);
+      return;
+    }
+    Object.keys(totals).forEach((nutrient) => {
+      totals[nutrient] += (food[nutrient] * grams) / 100;
+    });
+    estimate.counted++;
+  });
+
+  const servings = recipe.servings || DEFAULT_SERVINGS;
+  estimate.perServing = Object.fromEntries(
+    Object.entries(totals).map(([nutrient, total]) => [
+      nutrient,
+      Math.round(total / servings),
+    ])
+  );
+  nutritionEstimates.set(recipe, estimate);
+  return estimate;
+}
+
+async function mapNutritionIngredient(key, value) {
+  if (value) nutritionMappings[key] = value;
+  else delete nutritionMappings[key];
+  nutritionEstimates = new WeakMap();
+  await Storage.setValue(Storage.NUTRITION_MAPPINGS_KEY, nutritionMappings);
+  renderDetailNutrition();
+}
+
+// ========== DIET ==========
+// Detected allergens and diets by recipe object, like nutritionEstimates
+const dietProfiles = new WeakMap();
+
+/**
+ * A keyword table phrase in the form names are normalized to
+ * @param {string} phrase
+ */
+function normalizeDietPhrase(phrase) {
+  return ` ${phrase.split(' ').map(singularize).join(' ')} `;
+}
+
+/**
+ * @param {string} name - Normalized ingredient name
+ * @param {{keywords: string[], except: string[], unless?: string[]}} group
+ *   - From diet-data.js, or a density from units-data.js
+ */
+function ingredientMatches(name, { keywords, except, unless = [] }) {
+  const padded = ` ${name} `;
+  if (unless.some((phrase) => padded.includes(normalizeDietPhrase(phrase)))) {
+    return false;
+  }
+  const rest = except.reduce(
+    (text, phrase) => text.replaceAll(normalizeDietPhrase(phrase), ' '),
+    padded
+  );
+  return keywords.some((keyword) =>
+    rest.includes(normalizeDietPhrase(keyword))
+  );
+}
+
+/**
+ * Allergens and diets of a recipe, read from its ingredient names
+ * @param {Object} recipe
+ * @returns {{allergens: string[], diets: string[], meat: string[],
+ *   egg: string[]}} Allergen and diet keys, and the ingredients (as
+ *   written) that make the recipe non-veg
+ */
+function detectDiet(recipe) {
+  if (dietProfiles.has(recipe)) return dietProfiles.get(recipe);
+  const ingredients = (recipe.ingredients || []).map((ing) => ({
+    name: ing.name,
+    key: normalizeIngredientName(ing.name),
+  }));
+  const matching = (group) =>
+    ingredients
+      .filter((ing) => ingredientMatches(ing.key, group))
+      .map((ing) => ing.name);
+  const contains = (group) => matching(group).length > 0;
+
+  const allergens = ALLERGENS.filter(contains).map((allergen) => allergen.key);
+  const meat = matching(MEAT_KEYWORDS);
+  const egg = matching(ALLERGENS.find((allergen) => allergen.key === 'egg'));
+  const diets = [];
+  if (meat.length === 0 && egg.length > 0) {
+    diets.push('eggetarian');
+  } else if (meat.length === 0 && !contains(ANIMAL_KEYWORDS)) {
+    if (!allergens.includes('dairy')) diets.push('vegan');
+    if (!contains(JAIN_AVOIDS)) diets.push('jain');
+  }
+
+  const profile = { allergens, diets, meat, egg };
+  dietProfiles.set(recipe, profile);
+  return profile;
+}
+
+/**
+ * Why the chosen veg/non-veg type disagrees with the ingredients, if it does
+ * @param {Object} data - Recipe data
+ * @returns {string} '' when they agree
+ */
+function getTypeWarning(data) {
+  const { meat, egg } = detectDiet(data);
+  const nonVeg = [...meat, ...egg];
+  if (data.type === 'veg' && nonVeg.length > 0) {
+    return `Marked veg, but has ${nonVeg.join(', ')}.`;
+  }
+  if (data.type === 'non-veg' && nonVeg.length === 0) {
+    return 'Marked non-veg, but no meat, fish or egg was found.';
+  }
+  return '';
+}
+
+// ========== TAXONOMY ==========
+const CUISINES = {
+  indian: 'Indian',
+  italian: 'Italian',
+  chinese: 'Chinese',
+  mexican: 'Mexican',
+  thai: 'Thai',
+  japanese: 'Japanese',
+  american: 'American',
+  mediterranean: 'Mediterranean',
+  french: 'French',
+  other: 'Other',
+};
+
+const COURSES = {
+  breakfast: 'Breakfast',
+  main: 'Main',
+  side: 'Side',
+  snack: 'Snack',
+  dessert: 'Dessert',
+  drink: 'Drink',
+};
+
+const MAX_TAGS = 20;
+const MAX_TAG_LENGTH = 30;
+
+/**
+ * Tags are lowercase words; punctuation is dropped so a tag reads the same
+ * in URLs and on chips
+ */
+function normalizeTag(tag) {
+  return String(tag)
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}\s-]/gu, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+function normalizeTags(tags) {
+  return [...new Set(tags.map(normalizeTag).filter(Boolean))];
+}
+
+/**
+ * Filter keys a recipe matches, e.g. ['cuisine:indian', 'tag:quick']
+ * @param {Object} recipe
+ * @returns {string[]}
+ */
+function getRecipeFacets(recipe) {
+  const facets = [];
+  if (recipe.cuisine) facets.push(`cuisine:${recipe.cuisine}`);
+  if (recipe.course) facets.push(`course:${recipe.course}`);
+  return facets.concat((recipe.tags || []).map((tag) => `tag:${tag}`));
+}
+
+function isValidFacet(facet) {
+  const split = facet.indexOf(':');
+  const kind = facet.slice(0, split);
+  const value = facet.slice(split + 1);
+  if (kind === 'cuisine') return !!CUISINES[value];
+  if (kind === 'course') return !!COURSES[value];
+  return kind === 'tag' && !!value && normalizeTag(value) === value;
+}
+
+function getFacetLabel(facet) {
+  const split = facet.indexOf(':');
+  const kind = facet.slice(0, split);
+  const value = facet.slice(split + 1);
+  if (kind === 'cuisine') return CUISINES[value] || value;
+  if (kind === 'course') return COURSES[value] || value;
+  return `#${value}`;
+}
+
+/**
+ * Map a schema.org recipeCategory such as "Dinner" or "Appetizers" to
+ * one of COURSES
+ * @returns {string} Course key, or '' when nothing fits
+ */
+function matchCourse(category) {
+  const text = []
+    .concat(category || [])
+    .join(' ')
+    .toLowerCase();
+  const patterns = {
+    breakfast: /breakfast|brunch/,
+    dessert: /dessert|sweet|baking/,
+    drink: /drink|beverage|cocktail|smoothie/,
+    snack: /snack|appetizer|starter/,
+    side: /side/,
+    main: /main|dinner|lunch|entr[eé]e/,
+  };
+  return Object.keys(patterns).find((key) => patterns[key].test(text)) || '';
+}
+
+/**
+ * @param {Array} recipes
+ * @returns {Map<string, number>} Facet key -> number of recipes
+ */
+function countFacets(recipes) {
+  const counts = new Map();
+  recipes.forEach((recipe) =>
+    getRecipeFacets(recipe).forEach((facet) =>
+      counts.set(facet, (counts.get(facet) || 0) + 1)
+    )
+  );
+  return counts;
+}
+
+function populateTaxonomyOptions() {
+  const options = (map) =>
+    Object.entries(map)
+      .map(([value, label]) => `<option value="${value}">${label}</option>`)
+      .join('');
+  document.getElementById('cuisine').innerHTML =
+    '<option value="">Not set</option>' + options(CUISINES);
+  document.getElementById('course').innerHTML =
+    '<option value="">Not set</option>' + options(COURSES);
+}
+
+// ========== PANTRY ==========
+// Assumed to be in every kitchen, so never reported as missing
+const PANTRY_STAPLES = new Set([
+  'salt',
+  'water',
+  'oil',
+  'cooking oil',
+  'vegetable oil',
+  'olive oil',
+  'ice',
+]);
+
+// Preparation and size words that do not change what an ingredient is
+const PREP_WORDS = new Set([
+  'chopped',
+  'diced',
+  'minced',
+  'sliced',
+  'grated',
+  'crushed',
+  'peeled',
+  'beaten',
+  'melted',
+  'softened',
+  'boiled',
+  'cooked',
+  'fresh',
+  'freshly',
+  'finely',
+  'roughly',
+  'thinly',
+  'large',
+  'medium',
+  'small',
+  'ripe',
+  'whole',
+  'extra',
+  'virgin',
+]);
+
+// What the user has on hand, as typed
+let pantryItems = [];
+
+function singularize(word) {
+  if (word.length <= 3 || word.endsWith('ss')) return word;
+  if (word.endsWith('ies')) return `${word.slice(0, -3)}y`;
+  if (/(oes|ches|shes|xes)$/.test(word)) return word.slice(0, -2);
+  if (word.endsWith('s')) return word.slice(0, -1);
+  return word;
+}
+
+/**
+ * Reduce an ingredient name to the words that identify it, so
+ * 'Onion (chopped small)', 'onions, diced' and 'Chopped onion' all
+ * become 'onion'
+ * @param {string} name
+ * @returns {string}
+ */
+function normalizeIngredientName(name) {
+  return SearchIndex.normalize(name || '')
+    .replace(/\([^)]*\)/g, ' ')
+    .split(',')[0]
+    .split(/[^\p{L}]+/u)
+    .filter((word) => word && !PREP_WORDS.has(word))
+    .map(singularize)
+    .join(' ');
+}
+
+/**
+ * Normalize a name for pantry matching. Hyphenated compounds stay one
+ * word, so 'Ginger-garlic paste' is not taken for garlic.
+ * @param {string} name
+ * @returns {string}
+ */
+function normalizePantryName(name) {
+  return normalizeIngredientName(
+    String(name || '').replace(/(\p{L})-(?=\p{L})/gu, '$1')
+  );
+}
+
+/**
+ * An ingredient is covered when all words of a pantry entry appear in it
+ * ('onion' covers 'red onion'), but not the other way round: 'cheddar
+ * cheese' is not any cheese
+ * @param {string} name - Ingredient name, from normalizePantryName
+ * @param {string[]} pantry - Entries from normalizePantryName
+ */
+function pantryCovers(name, pantry) {
+  const words = name.split(' ');
+  return pantry.some((entry) =>
+    entry.split(' ').every((w) => words.includes(w))
+  );
+}
+
+/**
+ * Ingredients of a recipe that are not in the pantry. Staples and
+ * optional ingredients are never missing.
+ * @param {Object} recipe
+ * @param {string[]} pantry - Normalized pantry entries
+ * @returns {string[]} Missing ingredient names as written
+ */
+function findMissingIngredients(recipe, pantry) {
+  return recipe.ingredients
+    .filter((ing) => {
+      const name = normalizeIngredientName(ing.name);
+      return (
+        name &&
+        !PANTRY_STAPLES.has(name) &&
+        !/\boptional\b/i.test(ing.note || '') &&
+        !pantryCovers(normalizePantryName(ing.name), pantry)
+      );
+    })
+    .map((ing) => ing.name);
+}
+
+function isPantryMode() {
+  return (
+    !!document.getElementById('pantryModeToggle')?.checked &&
+    pantryItems.length > 0
+  );
+}
+
+async function loadPantry() {
+  pantryItems = await Storage.getValue(Storage.PANTRY_KEY, []);
+  renderPantry();
+}
+
+async function savePantry() {
+  await Storage.setValue(Storage.PANTRY_KEY, pantryItems);
+  renderPantry();
+  displayRecipes();
+}
+
+function renderPantry() {
+  const list = document.getElementById('pantryList');
+  list.innerHTML = pantryItems.length
+    ? pantryItems
+        .map(
+          (item, i) => `
+      <span class="pantry-chip">
+        ${escapeHtml(item)}
+        <button type="button" onclick="removePantryItem(${i})" title="Remove">×</button>
+      </span>`
+        )
+        .join('')
+    : '<span class="pantry-empty">Nothing added yet.</span>';
+  document.getElementById('pantryClearBtn').style.display = pantryItems.length
+    ? 'inline-block'
+    : 'none';
+}
+
+/**
+ * Add comma-separated entries, skipping ones already in the pantry
+ * @param {string} text
+ */
+function addPantryItems(text) {
+  const known = new Set(pantryItems.map(normalizePantryName));
+  text
+    .split(/[,\n]/)
+    .map((item) => item.trim())
+    .forEach((item) => {
+      const name = normalizePantryName(item);
+      if (!name || known.has(name)) return;
+      known.add(name);
+      pantryItems.push(item);
+    });
+  return savePantry();
+}
+
+function handlePantrySubmit(e) {
+  e.preventDefault();
+  const input = document.getElementById('pantryInput');
+  if (!input.value.trim()) return;
+  addPantryItems(input.value);
+  input.value = '';
+}
+
+function removePantryItem(index) {
+  pantryItems.splice(index, 1);
+  return savePantry();
+}
+
+function clearPantry() {
+  if (!confirm('Remove everything from your pantry?')) return;
+  pantryItems = [];
+  return savePantry();
+}
+
+// ========== SHOPPING LIST ITEMS ==========
+/**
+ * Store aisle of an ingredient, from the AISLES keyword table
+ * @param {string} name - Normalized ingredient name
+ * @returns {string}
+ */
+function findAisle(name) {
+  const padded = ` ${name} `;
+  const aisle = AISLES.find((candidate) =>
+    candidate.keywords.some((keyword) => padded.includes(` ${keyword} `))
+  );
+  return aisle ? aisle.name : OTHER_AISLE;
+}
+
+/**
+ * Add up the amounts of one ingredient. Amounts in the same unit are summed
+ * as they are; different weight or volume units are summed through grams
+ * or ml, and cups join grams when the ingredient's density is known.
+ * Amounts that cannot be combined ("2" and "1 clove") are kept apart.
+ * @param {Array<{quantity: number, quantityMax: number|null, unit: string}>} amounts
+ * @param {string} name - Ingredient name, for the density lookup
+ * @returns {Array} Combined amounts
+ */
+function sumAmounts(amounts, name) {
+  const byUnit = new Map();
+  amounts.forEach(({ quantity, quantityMax, unit }) => {
+    const sum = byUnit.get(unit) || { unit, quantity: 0, quantityMax: 0 };
+    sum.quantity += quantity;
+    // A range stays a range: its upper bound adds the others' exact amounts
+    sum.quantityMax += quantityMax !== null ? quantityMax : quantity;
+    sum.ranged = sum.ranged || quantityMax !== null;
+    byUnit.set(unit, sum);
+  });
+  const toAmount = (sum) => ({
+    quantity: sum.quantity,
+    quantityMax: sum.ranged ? sum.quantityMax : null,
+    unit: sum.unit,
+  });
+
+  const sums = [...byUnit.values()];
+  const density = findDensity(name);
+  const hasWeight = sums.some(
+    (sum) => UNIT_CONVERSIONS[sum.unit]?.type === 'weight'
+  );
+  // Grams or ml per one of the unit
+  const baseOf = (unit) => {
+    const { type, factor } = UNIT_CONVERSIONS[unit];
+    if (type === 'volume' && hasWeight && density) {
+      return {
+        type: 'weight',
+        factor: (factor / UNIT_CONVERSIONS.cup.factor) * density,
+      };
+    }
+    return { type, factor };
+  };
+
+  const result = [];
+  const measured = new Map(); // 'weight' or 'volume' -> sums
+  sums.forEach((sum) => {
+    if (!UNIT_CONVERSIONS[sum.unit]) {
+      result.push(toAmount(sum));
+      return;
+    }
+    const { type } = baseOf(sum.unit);
+    measured.set(type, [...(measured.get(type) || []), sum]);
+  });
+  measured.forEach((group, type) => {
+    if (group.length === 1) {
+      result.push(toAmount(group[0]));
+      return;
+    }
+    const total = (key) =>
+      group.reduce((t, sum) => t + sum[key] * baseOf(sum.unit).factor, 0);
+    const metric = group.some((sum) => !SYSTEM_UNITS.us.includes(sum.unit));
+    const unit = pickUnit(total('quantity'), type, metric ? 'metric' : 'us');
+    const convert = (value) =>
+      roundAmount(value / UNIT_CONVERSIONS[unit].factor, unit);
+    result.push({
+      quantity: convert(total('quantity')),
+      quantityMax: group.some((sum) => sum.ranged)
+        ? convert(total('quantityMax'))
+        : null,
+      unit,
+    });
+  });
+  return result;
+}
+
+/**
+ * Merge the ingredients of several recipes into shopping list items.
+ * Ingredients match by normalized name, so "Onion (chopped)" in one recipe
+ * and "onions" in another become one item.
+ * @param {Array<{recipe: Object, servings: number}>} sources
+ * @param {string[]} pantry - Normalized pantry entries
+ * @returns {Array<{name, aisle, amounts, recipes, checked}>}
+ */
+function buildShoppingItems(sources, pantry) {
+  const items = new Map();
+  sources.forEach(({ recipe, servings }) => {
+    const factor = servings / (recipe.servings || DEFAULT_SERVINGS);
+    (recipe.ingredients || []).forEach((raw) => {
+      const ing = scaleIngredient(toIngredient(raw), factor);
+      const key = normalizeIngredientName(ing.name) || ing.name.toLowerCase();
+      // Nobody shops for tap water
+      if (!key || key === 'water') return;
+      if (!items.has(key)) {
+        items.set(key, {
+          key,
+          name: ing.name,
+          aisle: findAisle(key),
+          amounts: [],
+          recipes: [],
+          checked:
+            PANTRY_STAPLES.has(key) ||
+            pantryCovers(normalizePantryName(ing.name), pantry),
+        });
+      }
+      const item = items.get(key);
+      if (ing.quantity !== null) {
+        item.amounts.push({
+          quantity: ing.quantity,
+          quantityMax: ing.quantityMax,
+          unit: ing.unit,
+        });
+      }
+      if (!item.recipes.includes(recipe.title)) item.recipes.push(recipe.title);
+    });
+  });
+
+  return [...items.values()]
+    .map(({ key, ...item }) => ({
+      ...item,
+      amounts: sumAmounts(item.amounts, item.name),
+    }))
+    .sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * "2 cups + 1 tbsp", or '' for an ingredient without amounts
+ */
+function formatShoppingAmounts(amounts) {
+  return amounts
+    .map((amount) => formatIngredient({ ...amount, name: '', note: '' }))
+    .join(' + ');
+}
+
+/**
+ * Items grouped by aisle, in store order, skipping empty aisles
+ * @returns {Array<{aisle: string, items: Array<{item, index}>}>}
+ */
+function groupShoppingItems(items) {
+  return [...AISLES.map((aisle) => aisle.name), OTHER_AISLE]
+    .map((aisle) => ({
+      aisle,
+      items: items
+        .map((item, index) => ({ item, index }))
+        .filter(({ item }) => item.aisle === aisle),
+    }))
+    .filter((group) => group.items.length > 0);
+}
+
+/**
+ * Markdown task list that also reads fine as plain text in a chat
+ * @param {Object} list - ShoppingList.list
+ * @returns {string}
+ */
+function shoppingListToMarkdown(list) {
+  const lines = ['# Shopping list', ''];
+  if (list.sources.length > 0) {
+    lines.push(
+      `For: ${list.sources
+        .map((s) => `${s.title} (${s.servings} servings)`)
+        .join(', ')}`,
+      ''
+    );
+  }
+  groupShoppingItems(list.items).forEach(({ aisle, items }) => {
+    lines.push(`## ${aisle}`);
+    items.forEach(({ item }) => {
+      const amount = formatShoppingAmounts(item.amounts);
+      lines.push(
+        `- [${item.checked ? 'x' : ' '}] ${amount ? `${amount} ` : ''}${
+          item.name
+        }`
+      );
+    });
+    lines.push('');
+  });
+  return lines.join('\n');
+}
+
+// ========== UI - SNACKBAR ==========
+let snackbarTimer = null;
+
+/**
+ * Brief message at the bottom of the screen, with an optional action.
+ * Replaces any snackbar already showing.
+ * @param {string} message
+ * @param {Object} [options]
+ * @param {string} [options.actionLabel]
+ * @param {Function} [options.onAction]
+ * @param {number} [options.duration] - Milliseconds before it hides
+ */
+function showSnackbar(
+  message,
+  { actionLabel, onAction, duration = 8000 } = {}
+) {
+  hideSnackbar();
+  const snackbar = document.createElement('div');
+  snackbar.className = 'snackbar';
+  snackbar.setAttribute('role', 'status');
+  snackbar.innerHTML = `<span>${escapeHtml(message)}</span>${
+    actionLabel
+      ? `<button type="button" class="snackbar-action">${escapeHtml(
+          actionLabel
+        )}</button>`
+      : ''
+  }`;
+  snackbar.querySelector('.snackbar-action')?.addEventListener('click', () => {
+    hideSnackbar();
+    onAction();
+  });
+  document.body.appendChild(snackbar);
+  snackbarTimer = setTimeout(hideSnackbar, duration);
+}
+
+function hideSnackbar() {
+  clearTimeout(snackbarTimer);
+  document.querySelector('.snackbar')?.remove();
+}
+
+// ========== UI - CLIPBOARD ==========
+/**
+ * Put text on the clipboard
+ * @param {string} text
+ * @param {Object} labels
+ * @param {string} labels.title - Heading of the copy-by-hand dialog
+ * @param {string} labels.done - Message once copied
+ */
+async function copyText(text, { title, done }) {
+  try {
+    await navigator.clipboard.writeText(text);
+    alert(done);
+  } catch (e) {
+    // Clipboard access can be refused (e.g. over plain http); copy by hand
+    await showDialog({
+      title,
+      html: `<textarea class="copy-text" readonly rows="12">${escapeHtml(
+        text
+      )}</textarea>`,
+      cancelValue: 'close',
+      actions: [{ label: 'Close', value: 'close', primary: true }],
+    });
+  }
+}
+
+// ========== UI - DIALOG ==========
+/**
+ * Show a modal dialog and wait for the user's choice
+ * @param {Object} options
+ * @param {string} options.title
+ * @param {string} options.html - Body markup (escape any user data)
+ * @param {Array<{label: string, value: string, primary?: boolean}>} options.actions
+ * @param {string} [options.checkboxLabel] - Optional checkbox under the body
+ * @param {string} [options.cancelValue] - Value used when Escape is pressed
+ * @returns {Promise<{value: string, checked: boolean, fields: Object}>}
+ *   `fields` holds the values of named inputs in the body
+ */
+function showDialog({ title, html, actions, checkboxLabel, cancelValue }) {
+  return new Promise((resolve) => {
+    const overlay = document.createElement('div');
+    overlay.className = 'modal-overlay';
+    overlay.innerHTML = `
+      <div class="modal" role="dialog" aria-modal="true" aria-labelledby="modalTitle">
+        <h2 id="modalTitle">${escapeHtml(title)}</h2>
+        <div class="modal-body">${html}</div>
+        ${
+          checkboxLabel
+            ? `<label class="modal-checkbox"><input type="checkbox"> ${escapeHtml(
+                checkboxLabel
+              )}</label>`
+            : ''
+        }
+        <div class="modal-actions">
+          ${actions
+            .map(
+              (action) =>
+                `<button type="button" class="${
+                  action.primary ? 'btn-primary' : 'btn-secondary'
+                }" data-value="${escapeHtml(action.value)}">${escapeHtml(
+                  action.label
+                )}</button>`
+            )
+            .join('')}
+        </div>
+      </div>
+    `;
+
+    const close = (value) => {
+      document.removeEventListener('keydown', onKeydown);
+      const checkbox = overlay.querySelector('.modal-checkbox input');
+      const fields = Object.fromEntries(
+        Array.from(overlay.querySelectorAll('.modal-body [name]')).map((el) => [
+          el.name,
+          el.value,
+        ])
+      );
+      overlay.remove();
+      resolve({ value, checked: checkbox ? checkbox.checked : false, fields });
+    };
+    const onKeydown = (e) => {
+      if (e.key === 'Escape' && cancelValue !== undefined) close(cancelValue);
+    };
+
+    overlay.querySelectorAll('.modal-actions button').forEach((btn) => {
+      btn.addEventListener('click', () => close(btn.dataset.value));
+    });
+    document.addEventListener('keydown', onKeydown);
+    document.body.appendChild(overlay);
+    const primary = overlay.querySelector('.modal-actions .btn-primary');
+    if (primary) primary.focus();
+  });
+}
+
+// ========== UI - IMAGES ==========
+// Uploaded photos are scaled down to fit this many pixels, as JPEG
+const IMAGE_MAX_SIZE = 1200;
+const IMAGE_QUALITY = 0.85;
+
+function newImageId() {
+  return `img-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+}
+
+/**
+ * Scale a photo down and re-encode it as JPEG, so a 12 MP camera shot
+ * takes a few hundred KB instead of several MB
+ * @param {File|Blob} file
+ * @returns {Promise<Blob>}
+ * @throws {Error} When the browser cannot decode the file
+ */
+function resizeImage(file) {
+  return new Promise((resolve, reject) => {
+    const url = URL.createObjectURL(file);
+    const img = new Image();
+    img.onload = () => {
+      URL.revokeObjectURL(url);
+      const scale = Math.min(
+        1,
+        IMAGE_MAX_SIZE / Math.max(img.naturalWidth, img.naturalHeight)
+      );
+      const canvas = document.createElement('canvas');
+      canvas.width = Math.round(img.naturalWidth * scale);
+      canvas.height = Math.round(img.naturalHeight * scale);
+      const context = canvas.getContext('2d');
+      // JPEG has no transparency; keep transparent PNGs from turning black
+      context.fillStyle = '#fff';
+      context.fillRect(0, 0, canvas.width, canvas.height);
+      context.drawImage(img, 0, 0, canvas.width, canvas.height);
+      canvas.toBlob(
+        (blob) =>
+          blob ? resolve(blob) : reject(new Error('Could not compress photo')),
+        'image/jpeg',
+        IMAGE_QUALITY
+      );
+    };
+    img.onerror = () => {
+      URL.revokeObjectURL(url);
+      reject(new Error('The file is not an image this browser can read'));
+    };
+    img.src = url;
+  });
+}
+
+/**
+ * <img> for a recipe: its uploaded photo if it has one, else its image URL.
+ * Uploaded photos are filled in afterwards by loadStoredImages.
+ * @param {Object} recipe
+ * @param {string} className
+ * @param {Function} [wrapUrl] - Applied to an image URL before use
+ * @returns {string} HTML, empty when the recipe has no image
+ */
+function createRecipeImage(recipe, className, wrapUrl = (url) => url) {
+  const attrs = `alt="${escapeHtml(recipe.title)}" class="${className}"
+    onerror="showImageFallback(this)"`;
+  if (recipe.imageId) {
+    return `<img data-image-id="${escapeHtml(recipe.imageId)}" ${attrs}>`;
+  }
+  if (recipe.imageUrl && recipe.imageUrl.trim()) {
+    return `<img src="${escapeHtml(wrapUrl(recipe.imageUrl))}" ${attrs}>`;
+  }
+  return '';
+}
+
+/**
+ * Point every uploaded-photo <img> in a container at its stored image
+ * @param {HTMLElement} container
+ */
+async function loadStoredImages(container) {
+  const images = container.querySelectorAll('img[data-image-id]');
+  for (const img of images) {
+    const url = await Storage.getImageUrl(img.dataset.imageId);
+    if (url) img.src = url;
+    else showImageFallback(img);
+  }
+}
+
+// Swap a broken or missing image for a placeholder of the same size
+function showImageFallback(img) {
+  const placeholder = document.createElement('div');
+  placeholder.className = `${img.className} image-fallback`;
+  placeholder.setAttribute('role', 'img');
+  placeholder.setAttribute('aria-label', img.alt);
+  placeholder.textContent = '🍽️';
+  img.replaceWith(placeholder);
+}
+
+// Photo in the add/edit form. A new upload stays in memory until saved.
+const formImage = {
+  id: '', // stored image the form currently shows
+  original: '', // image the recipe had when the form was opened
+  pending: null, // resized Blob not stored yet
+  previewUrl: null,
+};
+
+/**
+ * Show a recipe's stored photo (or none) in the form
+ * @param {string} id - Image id, '' for none
+ */
+async function setFormImage(id) {
+  formImage.id = id;
+  formImage.original = id;
+  formImage.pending = null;
+  renderFormImage(id ? await Storage.getImageUrl(id) : null);
+}
+
+function renderFormImage(url) {
+  if (formImage.previewUrl) URL.revokeObjectURL(formImage.previewUrl);
+  formImage.previewUrl = formImage.pending ? url : null;
+  document.getElementById('imagePreview').hidden = !url;
+  document.getElementById('imagePreviewImg').src = url || '';
+  document.getElementById('imageUploadStatus').textContent = '';
+}
+
+async function handleImageFile(input) {
+  const file = input.files[0];
+  input.value = '';
+  if (!file) return;
+  const status = document.getElementById('imageUploadStatus');
+  status.textContent = 'Resizing…';
+  try {
+    formImage.pending = await resizeImage(file);
+    formImage.id = '';
+    renderFormImage(URL.createObjectURL(formImage.pending));
+  } catch (e) {
+    console.error('Error reading photo:', e);
+    status.textContent = e.message;
+  }
+}
+
+function removeFormImage() {
+  formImage.id = '';
+  formImage.pending = null;
+  renderFormImage(null);
+}
+
+/**
+ * Store a newly uploaded photo and point the recipe data at it
+ * @returns {Promise<boolean>} Success status
+ */
+async function storeFormImage(data) {
+  if (!formImage.pending) return true;
+  const id = newImageId();
+  if (!(await Storage.saveImage(id, formImage.pending))) return false;
+  data.imageId = id;
+  return true;
+}
+
+/**
+ * After a save, delete the photo the recipe no longer uses; after a
+ * failed save, delete the one just stored for it
+ * @param {string} imageId - Image the saved data referenced
+ * @param {boolean} saved
+ */
+async function settleFormImage(imageId, saved) {
+  const { original } = formImage;
+  if (saved && original && original !== imageId) {
+    await Storage.deleteImage(original);
+  } else if (!saved && imageId && imageId !== original) {
+    await Storage.deleteImage(imageId);
+  }
+}
+
+// ========== UI - RECIPE CARDS ==========
+/**
+ * Escape text for HTML, wrapping words that are in `terms` in <mark>
+ * @param {string} text
+ * @param {Set<string>} [terms] - Normalized words from SearchIndex
+ * @returns {string} HTML
+ */
+function highlightText(text, terms) {
+  if (!terms || terms.size === 0 || typeof text !== 'string') {
+    return escapeHtml(text);
+  }
+  return text
+    .split(/([\p{L}\p{N}]+)/u)
+    .map((part, i) =>
+      i % 2 === 1 && terms.has(SearchIndex.normalize(part))
+        ? `<mark>${escapeHtml(part)}</mark>`
+        : escapeHtml(part)
+    )
+    .join('');
+}
+
+/**
+ * Card line listing the ingredients a search matched, since they are
+ * otherwise not visible on the card
+ */
+function createIngredientMatches(recipe, terms) {
+  if (!terms || terms.size === 0) return '';
+  const names = (recipe.ingredients || [])
+    .map((ing) => ing.name)
+    .filter((name) => SearchIndex.tokenize(name).some((w) => terms.has(w)));
+  if (names.length === 0) return '';
+  return `<p class="recipe-card-match">Contains: ${names
+    .slice(0, 3)
+    .map((name) => highlightText(name, terms))
+    .join(', ')}</p>`;
+}
+
+function createMissingIngredients(missing) {
+  if (!missing) return '';
+  if (missing.length === 0) {
+    return '<p class="recipe-card-missing complete">✓ You have everything</p>';
+  }
+  return `<p class="recipe-card-missing">Missing: ${escapeHtml(
+    missing.map((name) => name.toLowerCase()).join(', ')
+  )}</p>`;
+}
+
+/**
+ * @param {Object} recipe
+ * @param {Object} [options]
+ * @param {Set<string>} [options.terms] - Search terms to highlight
+ * @param {string[]} [options.missing] - Ingredients not in the pantry
+ */
+function createRecipeCard(recipe, { terms, missing } = {}) {
+  const time = recipe.prepTime + recipe.cookTime;
+  const badge = getDifficultyBadge(recipe.difficulty);
+
+  let svgContent;
+  if (recipe.type === 'veg') {
+    svgContent = `<svg width="24" height="24" viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg">
+  <rect x="2" y="2" width="20" height="20" fill="none" stroke="#00A651" stroke-width="2"/>
+  <circle cx="12" cy="12" r="6" fill="#00A651"/>
+</svg>
+`;
+  } else if (recipe.type === 'non-veg') {
+    svgContent = `<svg width="24" height="24" viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg">
+  <rect x="2" y="2" width="20" height="20" fill="none" stroke="#FF0000" stroke-width="2"/>
+  <circle cx="12" cy="12" r="6" fill="#FF0000"/>
+</svg>
+`;
+  } else {
+    svgContent = '';
+  }
+
+  const icon = svgContent
+    ? `<div class="recipe-card-icon">${svgContent}</div>`
+    : '';
+
+  const img = createRecipeImage(recipe, 'recipe-card-image');
+
+  const selected =
+    shoppingSelection.active && shoppingSelection.ids.has(recipe.id);
+  const { favorite, rating } = Activity.get(recipe.id);
+  const rated = rating
+    ? `<span class="recipe-card-rating" title="Rated ${rating} of 5">★ ${rating}</span>`
+    : '';
+
+  return `
+    <div class="recipe-card${selected ? ' selected' : ''}"
+      onclick="handleCardClick(event, ${recipe.id})">
+      ${icon}
+      <button type="button" class="favorite-btn${favorite ? ' active' : ''}"
+        onclick="event.stopPropagation(); toggleFavorite(${recipe.id})"
+        title="${favorite ? 'Remove from favorites' : 'Add to favorites'}"
+        aria-pressed="${favorite}">${favorite ? '♥' : '♡'}</button>
+      ${img}
+      <div class="recipe-card-content">
+        <h3 class="recipe-card-title">${highlightText(recipe.title, terms)}</h3>
+        <p class="recipe-card-description">${highlightText(
+          recipe.description,
+          terms
+        )}</p>
+        ${createIngredientMatches(recipe, terms)}
+        ${createMissingIngredients(missing)}
+        <div class="recipe-card-meta">
+          <span class="recipe-card-time">⏱️ ${time} min</span>
+          ${rated}
+          ${badge}
+        </div>
+      </div>
+    </div>
+  `;
+}
+
+async function displayRecipes() {
+  const search = document.getElementById('searchInput')?.value || '';
+  const difficulty =
+    document.getElementById('difficultyFilter')?.value || 'all';
+  const maxTime = parseInt(
+    document.getElementById('prepTimeFilter')?.value || 0
+  );
+  const maxCalories = parseInt(
+    document.getElementById('caloriesFilter')?.value || 0
+  );
+  const type = window.currentTypeFilter || 'all';
+  const excluded = Array.from(
+    document.querySelectorAll('#allergenFilters input:checked'),
+    (input) => input.value
+  );
+  const pantry = !!document.getElementById('pantryModeToggle')?.checked;
+  const { facets, mode } = facetFilter;
+  const favorites = !!document.getElementById('favoritesFilter')?.checked;
+  const sort = document.getElementById('sortSelect')?.value || '';
+
+  const filters = {
+    search,
+    difficulty,
+    maxTime,
+    maxCalories,
+    type,
+    excluded,
+    pantry,
+    facets,
+    mode,
+    favorites,
+    sort,
+  };
+
+  let filtered = await Recipes.search(search);
+  filtered = Recipes.filterByDifficulty(filtered, difficulty);
+  filtered = Recipes.filterByTime(filtered, maxTime);
+  filtered = Recipes.filterByCalories(filtered, maxCalories);
+  filtered = Recipes.filterByType(filtered, type);
+  filtered = Recipes.filterByAllergens(filtered, excluded);
+  // Chip counts reflect the other filters, not the chips themselves
+  renderFacetBar(countFacets(filtered));
+  filtered = Recipes.filterByFacets(filtered, facets, mode);
+  filtered = Recipes.filterByFavorites(filtered, favorites);
+  filtered = Recipes.sortBy(filtered, sort);
+
+  // Fewest missing ingredients first; ties keep the chosen order
+  const missing = new Map();
+  if (isPantryMode()) {
+    const have = pantryItems.map(normalizePantryName).filter(Boolean);
+    filtered.forEach((recipe) =>
+      missing.set(recipe.id, findMissingIngredients(recipe, have))
+    );
+    filtered = [...filtered].sort(
+      (a, b) => missing.get(a.id).length - missing.get(b.id).length
+    );
+  }
+
+  const count = document.getElementById('recipeCount');
+  const noRecipes = document.getElementById('noRecipes');
+
+  if (count)
+    count.textContent = `${filtered.length} recipe${
+      filtered.length !== 1 ? 's' : ''
+    } found`;
+  if (noRecipes) {
+    noRecipes.style.display = filtered.length === 0 ? 'block' : 'none';
+  }
+
+  // Redrawing the same results (e.g. coming back from a recipe, or a change
+  // from another tab) stays on the same page; new filters start over
+  const filterQuery = new URLSearchParams(getHomeQuery(filters)).toString();
+  if (gridState.filterQuery !== null && gridState.filterQuery !== filterQuery) {
+    gridState.page = 1;
+  }
+  gridState.filterQuery = filterQuery;
+  gridState.filters = filters;
+  gridState.recipes = filtered;
+  gridState.terms = search.trim() ? SearchIndex.matchedTerms(search) : null;
+  gridState.missing = missing;
+  gridState.page = Math.min(gridState.page, getGridPageCount());
+  syncHomeQuery({ ...filters, page: gridState.page });
+  renderGridPage();
+}
+
+// ========== UI - GRID PAGING ==========
+// The grid shows one page of cards at a time, so large libraries never
+// render thousands of cards at once
+const GRID_PAGE_SIZE = 24;
+
+const gridState = {
+  filterQuery: null, // home query without the page; null to keep the page
+  filters: {}, // as passed to getHomeQuery
+  recipes: [], // filtered and sorted
+  terms: null,
+  missing: new Map(),
+  page: 1,
+};
+
+function getGridPageCount() {
+  return Math.max(1, Math.ceil(gridState.recipes.length / GRID_PAGE_SIZE));
+}
+
+/**
+ * Draw the cards of the current page, replacing the previous ones
+ */
+function renderGridPage() {
+  const { recipes, terms, missing, page } = gridState;
+  const grid = document.getElementById('recipesGrid');
+  grid.innerHTML = recipes
+    .slice((page - 1) * GRID_PAGE_SIZE, page * GRID_PAGE_SIZE)
+    .map((recipe) =>
+      createRecipeCard(recipe, { terms, missing: missing.get(recipe.id) })
+    )
+    .join('');
+  loadStoredImages(grid);
+  renderGridPager();
+}
+
+function renderGridPager() {
+  const { page } = gridState;
+  const count = getGridPageCount();
+  const pager = document.getElementById('gridPager');
+  pager.hidden = count <= 1;
+  pager.innerHTML = `
+    <button type="button" class="btn-secondary"
+      onclick="goToGridPage(${page - 1})" ${page <= 1 ? 'disabled' : ''}>
+      ← Previous
+    </button>
+    <span class="grid-pager-status">Page ${page} of ${count}</span>
+    <button type="button" class="btn-secondary"
+      onclick="goToGridPage(${page + 1})" ${page >= count ? 'disabled' : ''}>
+      Next →
+    </button>
+  `;
+}
+
+/**
+ * @param {number} page - 1-based
+ */
+function goToGridPage(page) {
+  gridState.page = Math.min(Math.max(page, 1), getGridPageCount());
+  syncHomeQuery({ ...gridState.filters, page: gridState.page });
+  renderGridPage();
+  document.getElementById('recipesGrid').scrollIntoView({ block: 'start' });
+}
+
+// ========== UI - FILTER CHIPS ==========
+// Selected cuisine/course/tag chips and whether all or any must match
+const facetFilter = { facets: [], mode: 'all' };
+
+const FACET_GROUPS = [
+  { kind: 'cuisine', label: 'Cuisine' },
+  { kind: 'course', label: 'Course' },
+  { kind: 'tag', label: 'Tags' },
+];
+
+/**
+ * @param {Map<string, number>} counts - Recipes per facet under the
+ *   current search and filters
+ */
+function renderFacetBar(counts) {
+  const bar = document.getElementById('facetBar');
+  if (!bar) return;
+  // Selected chips stay visible even when nothing matches them any more
+  facetFilter.facets.forEach((facet) => {
+    if (!counts.has(facet)) counts.set(facet, 0);
+  });
+
+  const groups = FACET_GROUPS.map(({ kind, label }) => {
+    const chips = Array.from(counts)
+      .filter(([facet]) => facet.startsWith(`${kind}:`))
+      .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]));
+    if (chips.length === 0) return '';
+    return `
+      <div class="facet-group">
+        <span class="facet-group-label">${label}:</span>
+        ${chips.map(([facet, count]) => createFacetChip(facet, count)).join('')}
+      </div>
+    `;
+  }).join('');
+
+  const controls = facetFilter.facets.length
+    ? `
+      <div class="facet-controls">
+        <button type="button" class="btn-small" onclick="toggleFacetMode()"
+          title="Switch between matching all or any selected chip">
+          Match ${facetFilter.mode}
+        </button>
+        <button type="button" class="btn-small" onclick="clearFacets()">
+          Clear
+        </button>
+      </div>
+    `
+    : '';
+  bar.innerHTML = groups + controls;
+}
+
+function createFacetChip(facet, count) {
+  const active = facetFilter.facets.includes(facet);
+  return `
+    <button type="button" class="facet-chip${active ? ' active' : ''}"
+      data-facet="${escapeHtml(facet)}" aria-pressed="${active}"
+      onclick="toggleFacet(this.dataset.facet)">
+      ${escapeHtml(getFacetLabel(facet))}
+      <span class="facet-count">${count}</span>
+    </button>
+  `;
+}
+
+function toggleFacet(facet) {
+  const { facets } = facetFilter;
+  const index = facets.indexOf(facet);
+  if (index === -1) facets.push(facet);
+  else facets.splice(index, 1);
+  displayRecipes();
+}
+
+function toggleFacetMode() {
+  facetFilter.mode = facetFilter.mode === 'all' ? 'any' : 'all';
+  displayRecipes();
+}
+
+function clearFacets() {
+  facetFilter.facets = [];
+  displayRecipes();
+}
+
+/**
+ * One "No egg", "No dairy"... checkbox per allergen in ALLERGENS
+ */
+function populateAllergenFilters() {
+  document.getElementById('allergenFilters').innerHTML =
+    '<span class="allergen-filters-label">Exclude:</span>' +
+    ALLERGENS.map(
+      ({ key, label }) => `
+      <label class="allergen-filter">
+        <input type="checkbox" value="${key}" />
+        No ${label.toLowerCase()}
+      </label>`
+    ).join('');
+}
+
+// ========== UI - ACTIVITY ==========
+function isDetailPageShown() {
+  return document.getElementById('detailPage').style.display === 'block';
+}
+
+// Redraw whichever view shows the recipe's favorite/rating/log
+function refreshActivity(id) {
+  if (isDetailPageShown()) renderDetailActivity(id);
+  else displayRecipes();
+}
+
+async function toggleFavorite(id) {
+  await Activity.toggleFavorite(id);
+  refreshActivity(id);
+}
+
+// Clicking the current rating again clears it
+async function rateRecipe(id, rating) {
+  const current = Activity.get(id).rating;
+  await Activity.setRating(id, rating === current ? 0 : rating);
+  refreshActivity(id);
+}
+
+async function logCooking(id) {
+  const today = todayIso();
+  const { value, fields } = await showDialog({
+    title: 'I cooked this',
+    html: `
+      <label class="modal-field">
+        Date
+        <input type="date" name="date" value="${today}" max="${today}">
+      </label>
+      <label class="modal-field">
+        Notes (optional)
+        <textarea name="notes" rows="3"
+          placeholder="e.g. less chilli next time"></textarea>
+      </label>
+    `,
+    cancelValue: 'cancel',
+    actions: [
+      { label: 'Cancel', value: 'cancel' },
+      { label: 'Save', value: 'save', primary: true },
+    ],
+  });
+  if (value !== 'save') return;
+  const date = isIsoDate(fields.date) ? fields.date : today;
+  await Activity.logCooked(id, date, fields.notes.trim());
+  refreshActivity(id);
+}
+
+async function removeCookingEntry(id, entryId) {
+  if (!confirm('Remove this entry from the cooking log?')) return;
+  await Activity.removeLogEntry(id, entryId);
+  refreshActivity(id);
+}
+
+function renderDetailActivity(id) {
+  const { favorite, rating, log } = Activity.get(id);
+  const last = Activity.lastCooked(id);
+  const stars = [1, 2, 3, 4, 5]
+    .map(
+      (n) => `
+        <button type="button" class="star${n <= rating ? ' filled' : ''}"
+          onclick="rateRecipe(${id}, ${n})"
+          aria-label="Rate ${n} of 5">★</button>`
+    )
+    .join('');
+
+  document.getElementById('detailActivity').innerHTML = `
+    <button type="button" class="favorite-toggle${favorite ? ' active' : ''}"
+      onclick="toggleFavorite(${id})" aria-pressed="${favorite}">
+      ${favorite ? '♥ Favorite' : '♡ Add to favorites'}
+    </button>
+    <div class="star-rating" role="group" aria-label="Rating">${stars}</div>
+    <span class="last-cooked">${
+      last
+        ? `Last cooked ${formatDate(last)} · ${log.length} time${
+            log.length === 1 ? '' : 's'
+          }`
+        : 'Not cooked yet'
+    }</span>
+    <button type="button" class="btn-small" onclick="logCooking(${id})">
+      🍳 I cooked this
+    </button>
+  `;
+
+  const entries = [...log].sort((a, b) =>
+    a.date === b.date ? b.id - a.id : a.date < b.date ? 1 : -1
+  );
+  document.getElementById('cookingLog').innerHTML = entries.length
+    ? entries
+        .map(
+          (entry) => `
+      <li>
+        <span class="cooking-log-date">${formatDate(entry.date)}</span>
+        <span class="cooking-log-notes">${
+          entry.notes ? escapeHtml(entry.notes) : '<em>No notes</em>'
+        }</span>
+        <button type="button" class="btn-remove"
+          onclick="removeCookingEntry(${id}, ${entry.id})"
+          title="Remove entry">×</button>
+      </li>`
+        )
+        .join('')
+    : '<li class="cooking-log-empty">Use “I cooked this” to start a log.</li>';
+}
+
+// ========== UI - NUTRITION ==========
+const NUTRITION_LABELS = {
+  calories: 'kcal',
+  protein: 'g protein',
+  carbs: 'g carbs',
+  fat: 'g fat',
+};
+
+/**
+ * Per-serving estimate of the recipe on the detail page, with a choice of
+ * food for each ingredient the table did not recognise
+ */
+function renderDetailNutrition() {
+  const container = document.getElementById('detailNutrition');
+  if (!container || !detailServings.recipe) return;
+  const { recipe } = detailServings;
+  const estimate = estimateNutrition(recipe);
+
+  const facts = estimate.counted
+    ? `<div class="nutrition-facts">${Object.entries(NUTRITION_LABELS)
+        .map(
+          ([nutrient, label]) => `
+        <div class="nutrition-fact">
+          <span class="nutrition-value">${estimate.perServing[nutrient]}</span>
+          <span class="nutrition-label">${label}</span>
+        </div>`
+        )
+        .join('')}</div>`
+    : '<p class="nutrition-note">None of the ingredients could be counted yet.</p>';
+
+  let note = `Estimated per serving from ${estimate.counted} of ${
+    recipe.ingredients.length
+  } ingredients.`;
+  if (estimate.unmeasured.length) {
+    note += ` Left out for having no amount: ${estimate.unmeasured
+      .map(escapeHtml)
+      .join(', ')}.`;
+  }
+
+  const foodOptions = NUTRITION_FOODS.map((food) => food.name).sort((a, b) =>
+    a.localeCompare(b)
+  );
+  // In recipe order, so a row stays put once a food is picked for it
+  const open = [...estimate.unmatched, ...estimate.mapped];
+  const choices = recipe.ingredients
+    .map((ing) => open.find((item) => item.name === ing.name))
+    .filter(
+      (item, i, all) =>
+        item && all.findIndex((other) => other?.key === item.key) === i
+    );
+  const mapping = choices.length
+    ? `<div class="nutrition-unmatched">
+        <p>Pick what these ingredients are to count them. Your choice is remembered for every recipe.</p>
+        <ul>${choices
+          .map(({ name, key }) => {
+            const current = nutritionMappings[key] || '';
+            const option = (value, label) =>
+              `<option value="${escapeHtml(value)}" ${
+                value === current ? 'selected' : ''
+              }>${escapeHtml(label)}</option>`;
+            return `
+          <li>
+            <span>${escapeHtml(name)}</span>
+            <select aria-label="Food for ${escapeHtml(name)}"
+              data-key="${escapeHtml(key)}"
+              onchange="mapNutritionIngredient(this.dataset.key, this.value)">
+              ${option('', 'Choose…')}
+              ${option(NUTRITION_SKIP, 'Do not count')}
+              ${foodOptions.map((food) => option(food, food)).join('')}
+            </select>
+          </li>`;
+          })
+          .join('')}</ul>
+      </div>`
+    : '';
+
+  container.innerHTML = `${facts}<p class="nutrition-note">${note}</p>${mapping}`;
+}
+
+// ========== UI - PLANNER ==========
+const plannerState = { weekStart: null, recipes: [] };
+
+/**
+ * @param {string} [week] - Any date in the week to show; defaults to today
+ */
+async function showPlannerPage(week) {
+  showPage('plannerPage');
+  plannerState.weekStart = startOfWeek(isIsoDate(week) ? week : todayIso());
+  plannerState.recipes = await Recipes.getAll();
+
+  const weekHash = (offset) =>
+    Router.buildHash('/planner', {
+      week: addDays(plannerState.weekStart, offset),
+    });
+  document.getElementById('plannerPrev').setAttribute('href', weekHash(-7));
+  document.getElementById('plannerNext').setAttribute('href', weekHash(7));
+  document.getElementById('plannerWeekLabel').textContent = `${formatDate(
+    plannerState.weekStart
+  )} – ${formatDate(addDays(plannerState.weekStart, 6))}`;
+
+  await renderPlannerLibrary();
+  renderPlanner();
+}
+
+async function renderPlannerLibrary() {
+  const query = document.getElementById('plannerSearch').value;
+  const recipes = await Recipes.search(query);
+  document.getElementById('plannerLibrary').innerHTML = recipes
+    .map(
+      (recipe) => `
+      <li class="planner-library-item" draggable="true"
+        ondragstart="handlePlannerDragStart(event, 'recipe', ${recipe.id})">
+        <span>${escapeHtml(recipe.title)}</span>
+        <span class="planner-library-time">${
+          recipe.prepTime + recipe.cookTime
+        } min</span>
+      </li>`
+    )
+    .join('');
+}
+
+function renderPlanner() {
+  const { weekStart, recipes } = plannerState;
+  const byId = new Map(recipes.map((r) => [r.id, r]));
+  const entries = MealPlan.getWeek(weekStart);
+  const days = Array.from({ length: 7 }, (_, i) => addDays(weekStart, i));
+  const today = todayIso();
+
+  const header = days
+    .map((date) => {
+      // Cooking time counts each planned recipe once, whatever the servings
+      const total = entries
+        .filter((e) => e.date === date && byId.has(e.recipeId) && !e.missing)
+        .reduce((sum, e) => {
+          const recipe = byId.get(e.recipeId);
+          return sum + recipe.prepTime + recipe.cookTime;
+        }, 0);
+      const label = new Date(`${date}T00:00`).toLocaleDateString(undefined, {
+        weekday: 'short',
+        day: 'numeric',
+        month: 'short',
+      });
+      return `
+        <div class="planner-day${date === today ? ' today' : ''}">
+          <span class="planner-day-name">${label}</span>
+          <span class="planner-day-total">${
+            total ? `⏱️ ${total} min` : '—'
+          }</span>
+        </div>`;
+    })
+    .join('');
+
+  const rows = Object.entries(MEAL_SLOTS)
+    .map(
+      ([slot, label]) => `
+        <div class="planner-slot-label">${label}</div>
+        ${days
+          .map(
+            (date) => `
+          <div class="planner-cell" data-date="${date}" data-slot="${slot}"
+            ondragover="handlePlannerDragOver(event)"
+            ondragleave="handlePlannerDragLeave(event)"
+            ondrop="handlePlannerDrop(event)">
+            ${entries
+              .filter((e) => e.date === date && e.slot === slot)
+              .map((e) => createPlanEntry(e, byId.get(e.recipeId)))
+              .join('')}
+            <button type="button" class="planner-add"
+              onclick="assignToSlot('${date}', '${slot}')"
+              title="Add a recipe">+</button>
+          </div>`
+          )
+          .join('')}`
+    )
+    .join('');
+
+  document.getElementById('plannerGrid').innerHTML = `
+    <div class="planner-corner"></div>
+    ${header}
+    ${rows}
+  `;
+}
+
+function createPlanEntry(entry, recipe) {
+  if (entry.missing || !recipe) {
+    return `
+      <div class="planner-entry missing" draggable="true"
+        ondragstart="handlePlannerDragStart(event, 'entry', ${entry.id})">
+        <span class="planner-entry-title">${escapeHtml(entry.title)}</span>
+        <span class="planner-entry-flag">Recipe deleted</span>
+        <button type="button" class="planner-remove"
+          onclick="removePlanEntry(${entry.id})" title="Remove">×</button>
+      </div>`;
+  }
+  return `
+    <div class="planner-entry" draggable="true"
+      ondragstart="handlePlannerDragStart(event, 'entry', ${entry.id})">
+      <a class="planner-entry-title"
+        href="#/recipe/${recipe.id}?servings=${entry.servings}">${escapeHtml(
+          recipe.title
+        )}</a>
+      <label class="planner-entry-servings">
+        <input type="number" min="1" max="${MAX_SERVINGS}"
+          value="${entry.servings}"
+          onchange="changePlanServings(${entry.id}, this.value)"
+          aria-label="Servings"> servings
+      </label>
+      <button type="button" class="planner-remove"
+        onclick="removePlanEntry(${entry.id})" title="Remove">×</button>
+    </div>`;
+}
+
+/**
+ * @param {number} [servings] - Defaults to the recipe's own servings
+ */
+async function addToPlan(date, slot, recipeId, servings) {
+  const recipe = plannerState.recipes.find((r) => r.id === recipeId);
+  if (!recipe) return;
+  await MealPlan.add(
+    date,
+    slot,
+    recipe,
+    servings || recipe.servings || DEFAULT_SERVINGS
+  );
+  renderPlanner();
+}
+
+async function assignToSlot(date, slot) {
+  const recipes = [...plannerState.recipes].sort((a, b) =>
+    a.title.localeCompare(b.title)
+  );
+  if (recipes.length === 0) {
+    alert('Add some recipes first.');
+    return;
+  }
+  const { value, fields } = await showDialog({
+    title: `${MEAL_SLOTS[slot]}, ${formatDate(date)}`,
+    html: `
+      <label class="modal-field">
+        Recipe
+        <select name="recipeId">
+          ${recipes
+            .map(
+              (r) => `<option value="${r.id}">${escapeHtml(r.title)}</option>`
+            )
+            .join('')}
+        </select>
+      </label>
+      <label class="modal-field">
+        Servings
+        <input type="number" name="servings" min="1" max="${MAX_SERVINGS}"
+          placeholder="Recipe default">
+      </label>
+    `,
+    cancelValue: 'cancel',
+    actions: [
+      { label: 'Cancel', value: 'cancel' },
+      { label: 'Add', value: 'add', primary: true },
+    ],
+  });
+  if (value !== 'add') return;
+  const servings = parseInt(fields.servings);
+  await addToPlan(
+    date,
+    slot,
+    parseInt(fields.recipeId),
+    servings >= 1 && servings <= MAX_SERVINGS ? servings : null
+  );
+}
+
+async function changePlanServings(id, value) {
+  const servings = parseInt(value);
+  if (servings >= 1 && servings <= MAX_SERVINGS) {
+    await MealPlan.update(id, { servings });
+  }
+  renderPlanner();
+}
+
+async function removePlanEntry(id) {
+  await MealPlan.remove(id);
+  renderPlanner();
+}
+
+async function copyPreviousWeek() {
+  const { weekStart } = plannerState;
+  if (MealPlan.getWeek(addDays(weekStart, -7)).length === 0) {
+    alert('Nothing was planned the week before.');
+    return;
+  }
+  if (
+    MealPlan.getWeek(weekStart).length > 0 &&
+    !confirm("Replace this week's plan with a copy of the week before?")
+  ) {
+    return;
+  }
+  await MealPlan.copyPreviousWeek(weekStart);
+  renderPlanner();
+}
+
+// Drag payload is 'recipe:<id>' from the library or 'entry:<id>' to move
+function handlePlannerDragStart(e, kind, id) {
+  e.dataTransfer.setData('text/plain', `${kind}:${id}`);
+  e.dataTransfer.effectAllowed = kind === 'entry' ? 'move' : 'copy';
+}
+
+function handlePlannerDragOver(e) {
+  e.preventDefault();
+  e.currentTarget.classList.add('drag-over');
+}
+
+function handlePlannerDragLeave(e) {
+  e.currentTarget.classList.remove('drag-over');
+}
+
+async function handlePlannerDrop(e) {
+  e.preventDefault();
+  const cell = e.currentTarget;
+  cell.classList.remove('drag-over');
+  const [kind, id] = e.dataTransfer.getData('text/plain').split(':');
+  const { date, slot } = cell.dataset;
+  if (kind === 'recipe') {
+    await addToPlan(date, slot, parseInt(id));
+  } else if (kind === 'entry') {
+    await MealPlan.update(parseInt(id), { date, slot });
+    renderPlanner();
+  }
+}
+
+async function shopForPlannedWeek() {
+  const { weekStart } = plannerState;
+  await createShoppingListFromPlan(weekStart, addDays(weekStart, 6));
+}
+
+// ========== UI - SHOPPING ==========
+// Recipes picked on the home page; while active, cards select instead of open
+const shoppingSelection = { active: false, ids: new Set() };
+
+function handleCardClick(e, id) {
+  if (!shoppingSelection.active) {
+    Router.navigate(`/recipe/${id}`);
+    return;
+  }
+  if (shoppingSelection.ids.has(id)) {
+    shoppingSelection.ids.delete(id);
+  } else {
+    shoppingSelection.ids.add(id);
+  }
+  e.currentTarget.classList.toggle('selected', shoppingSelection.ids.has(id));
+  updateSelectionBar();
+}
+
+function updateSelectionBar() {
+  const { active, ids } = shoppingSelection;
+  document.getElementById('shoppingSelectionBar').style.display = active
+    ? 'flex'
+    : 'none';
+  document.getElementById('shoppingSelectionCount').textContent = `${
+    ids.size
+  } recipe${ids.size === 1 ? '' : 's'} selected`;
+  document.getElementById('recipesGrid').classList.toggle('selecting', active);
+}
+
+function startShoppingSelection() {
+  shoppingSelection.active = true;
+  shoppingSelection.ids.clear();
+  updateSelectionBar();
+  displayRecipes();
+}
+
+function cancelShoppingSelection() {
+  shoppingSelection.active = false;
+  shoppingSelection.ids.clear();
+  updateSelectionBar();
+  displayRecipes();
+}
+
+/**
+ * Replace the current list, asking first if it is still in use
+ * @returns {Promise<boolean>} Whether a list was created
+ */
+async function createShoppingList(sources) {
+  const current = ShoppingList.list;
+  if (
+    current &&
+    current.items.some((item) => !item.checked) &&
+    !confirm('Replace your current shopping list?')
+  ) {
+    return false;
+  }
+  const pantry = pantryItems.map(normalizePantryName).filter(Boolean);
+  await ShoppingList.create(sources, pantry);
+  Router.navigate('/shopping');
+  return true;
+}
+
+async function createShoppingListFromSelection() {
+  const recipes = (await Recipes.getAll()).filter((recipe) =>
+    shoppingSelection.ids.has(recipe.id)
+  );
+  if (recipes.length === 0) {
+    alert('Select at least one recipe.');
+    return;
+  }
+  const created = await createShoppingList(
+    recipes.map((recipe) => ({
+      recipe,
+      servings: recipe.servings || DEFAULT_SERVINGS,
+    }))
+  );
+  if (created) {
+    shoppingSelection.active = false;
+    shoppingSelection.ids.clear();
+  }
+}
+
+/**
+ * Shop for every meal planned between two dates, scaled to the planned
+ * servings. Slots whose recipe was deleted are skipped.
+ * @param {string} from - YYYY-MM-DD
+ * @param {string} to - YYYY-MM-DD, inclusive
+ */
+async function createShoppingListFromPlan(from, to) {
+  const byId = new Map((await Recipes.getAll()).map((r) => [r.id, r]));
+  const entries = MealPlan.entries.filter(
+    (e) => e.date >= from && e.date <= to && !e.missing && byId.has(e.recipeId)
+  );
+  if (entries.length === 0) {
+    alert(
+      `No meals are planned from ${formatDate(from)} to ${formatDate(to)}.`
+    );
+    return;
+  }
+  await createShoppingList(
+    entries.map((e) => ({ recipe: byId.get(e.recipeId), servings: e.servings }))
+  );
+}
+
+function handleShoppingPlanSubmit(e) {
+  e.preventDefault();
+  const from = document.getElementById('shoppingFrom').value;
+  const to = document.getElementById('shoppingTo').value;
+  if (!isIsoDate(from) || !isIsoDate(to) || from > to) {
+    alert('Choose a start date on or before the end date.');
+    return;
+  }
+  createShoppingListFromPlan(from, to);
+}
+
+function showShoppingPage() {
+  showPage('shoppingPage');
+  const from = document.getElementById('shoppingFrom');
+  const to = document.getElementById('shoppingTo');
+  if (!from.value) from.value = startOfWeek(todayIso());
+  if (!to.value) to.value = addDays(from.value, 6);
+  renderShoppingList();
+}
+
+function renderShoppingList() {
+  const list = ShoppingList.list;
+  const container = document.getElementById('shoppingList');
+  const sources = document.getElementById('shoppingSources');
+  document.querySelector('.shopping-actions').style.display = list
+    ? ''
+    : 'none';
+
+  if (!list) {
+    sources.textContent = '';
+    container.innerHTML = `
+      <p class="shopping-empty">
+        No shopping list yet. Use <strong>🛒 Shopping list</strong> on the
+        <a href="#/">recipes page</a> to pick recipes, or build one from your
+        meal plan above.
+      </p>`;
+    return;
+  }
+
+  const checked = list.items.filter((item) => item.checked).length;
+  sources.textContent = `For ${list.sources
+    .map((s) => `${s.title} (${s.servings} servings)`)
+    .join(', ')} · ${checked} of ${list.items.length} checked off`;
+  container.innerHTML = groupShoppingItems(list.items)
+    .map(
+      ({ aisle, items }) => `
+      <section class="shopping-aisle">
+        <h2>${escapeHtml(aisle)}</h2>
+        <ul>
+          ${items.map(({ item, index }) => createShoppingItem(item, index)).join('')}
+        </ul>
+      </section>`
+    )
+    .join('');
+}
+
+function createShoppingItem(item, index) {
+  const amount = formatShoppingAmounts(item.amounts);
+  return `
+    <li class="shopping-item${item.checked ? ' checked' : ''}">
+      <label>
+        <input type="checkbox" ${item.checked ? 'checked' : ''}
+          onchange="toggleShoppingItem(${index})">
+        <span class="shopping-item-amount">${escapeHtml(amount)}</span>
+        <span class="shopping-item-name">${escapeHtml(item.name)}</span>
+      </label>
+      <span class="shopping-item-recipes">${escapeHtml(
+        item.recipes.join(', ')
+      )}</span>
+    </li>`;
+}
+
+async function toggleShoppingItem(index) {
+  await ShoppingList.toggle(index);
+  renderShoppingList();
+}
+
+async function clearShoppingList() {
+  if (!confirm('Clear the shopping list?')) return;
+  await ShoppingList.clear();
+  renderShoppingList();
+}
+
+function downloadShoppingList() {
+  downloadFile(
+    `shopping-list-${todayIso()}.md`,
+    shoppingListToMarkdown(ShoppingList.list),
+    'text/markdown'
+  );
+}
+
+function copyShoppingList() {
+  return copyText(shoppingListToMarkdown(ShoppingList.list), {
+    title: 'Copy shopping list',
+    done: 'Shopping list copied. Paste it into any chat or notes app.',
+  });
+}
+
+// ========== FORM DRAFTS ==========
+/**
+ * Unsaved add/edit form contents, kept per recipe id ("new" for a new
+ * recipe) so that leaving the form mid-entry loses nothing. Photos that
+ * were picked but not saved yet are not part of a draft.
+ */
+const Drafts = {
+  /**
+   * @param {string} key - Recipe id or "new"
+   * @returns {Promise<{data: Object, savedAt: string}|null>}
+   */
+  async get(key) {
+    const drafts = await Storage.getValue(Storage.DRAFTS_KEY, {});
+    return drafts[key] || null;
+  },
+
+  async save(key, data) {
+    const drafts = await Storage.getValue(Storage.DRAFTS_KEY, {});
+    return Storage.setValue(Storage.DRAFTS_KEY, {
+      ...drafts,
+      [key]: { data, savedAt: new Date().toISOString() },
+    });
+  },
+
+  async remove(key) {
+    const drafts = await Storage.getValue(Storage.DRAFTS_KEY, {});
+    if (!drafts[key]) return true;
+    const { [key]: removed, ...rest } = drafts;
+    return Storage.setValue(Storage.DRAFTS_KEY, rest);
+  },
+};
+
+const DRAFT_SAVE_DELAY = 500;
+
+// The open form: its draft key (null when it keeps no draft, e.g. while
+// repairing), its contents when opened, to tell whether it was changed, and
+// the stored recipe being edited, to tell whether another tab changed it
+const formState = { draftKey: null, baseline: null, recipe: null };
+
+function isFormDirty() {
+  if (formState.baseline === null) return false;
+  return (
+    !!formImage.pending || JSON.stringify(getFormData()) !== formState.baseline
+  );
+}
+
+/**
+ * Start watching the form for changes, as filled now. Offers to resume a
+ * draft left from an earlier visit.
+ * @param {string|null} draftKey
+ */
+async function trackForm(draftKey) {
+  formState.draftKey = draftKey;
+  formState.baseline = JSON.stringify(getFormData());
+  if (!draftKey) return;
+
+  const draft = await Drafts.get(draftKey);
+  if (!draft || JSON.stringify(draft.data) === formState.baseline) return;
+  const { value } = await showDialog({
+    title: 'Resume your draft?',
+    html: `<p>You left unsaved changes to this ${
+      draftKey === 'new' ? 'new recipe' : 'recipe'
+    } on ${escapeHtml(new Date(draft.savedAt).toLocaleString())}.</p>`,
+    actions: [
+      { label: 'Discard draft', value: 'discard' },
+      { label: 'Resume', value: 'resume', primary: true },
+    ],
+  });
+  // The form may have been left while the dialog was open
+  if (formState.draftKey !== draftKey) return;
+  if (value === 'resume') {
+    // The draft may show another photo, but the recipe still has its own
+    const { original } = formImage;
+    fillRecipeForm(draft.data);
+    formImage.original = original;
+  } else {
+    await Drafts.remove(draftKey);
+  }
+}
+
+/**
+ * Store the form as a draft, or drop the draft once the form is back to
+ * how it was opened
+ */
+function saveFormDraft() {
+  const { draftKey } = formState;
+  if (!draftKey) return;
+  if (isFormDirty()) Drafts.save(draftKey, getFormData());
+  else Drafts.remove(draftKey);
+}
+
+const scheduleFormDraft = debounce(saveFormDraft, DRAFT_SAVE_DELAY);
+
+/**
+ * Stop watching the form
+ * @param {boolean} keepDraft - Save what was typed first; false once the
+ *   form has been submitted
+ */
+async function untrackForm(keepDraft = true) {
+  const { draftKey } = formState;
+  if (keepDraft) saveFormDraft();
+  else if (draftKey) await Drafts.remove(draftKey);
+  formState.draftKey = null;
+  formState.baseline = null;
+  formState.recipe = null;
+}
+
+/**
+ * Router guard: ask before navigating away from a changed form
+ * @returns {boolean} Whether to leave
+ */
+function confirmLeaveForm() {
+  return (
+    !isFormDirty() ||
+    confirm(
+      'You have unsaved changes. Leave anyway? They are kept as a draft for when you come back.'
+    )
+  );
+}
+
+function handleBeforeUnload(e) {
+  if (!isFormDirty()) return;
+  saveFormDraft();
+  e.preventDefault();
+  e.returnValue = '';
+}
+
+// ========== FORM HANDLING ==========
+/**
+ * @returns {Promise<boolean>} Whether the recipe exists
+ */
+async function loadRecipeForEdit(id) {
+  const recipe = await Recipes.getById(id);
+  if (!recipe) {
+    showNotFound(`No recipe with id ${id} exists.`);
+    return false;
+  }
+
+  const title = document.getElementById('formTitle');
+  if (title) title.textContent = 'Edit Recipe';
+
+  fillRecipeForm(recipe);
+  document.getElementById('recipeForm').dataset.recipeId = id;
+  formState.recipe = recipe;
+  return true;
+}
+
+/**
+ * Before saving an edit, compare the stored recipe with the version the
+ * form was opened with: another tab may have changed or deleted it since
+ * @returns {Promise<boolean>} Whether to go ahead and save
+ */
+async function checkEditConflict(id) {
+  // Read from storage: this tab may not have heard of the change yet
+  const stored = await Storage.getRecipes();
+  if (!stored) {
+    alert('Recipes could not be read. Try saving again.');
+    return false;
+  }
+  const current = stored.find((recipe) => recipe.id === id) || null;
+  if (!current) {
+    alert(
+      'This recipe was deleted in another tab. Restore it from the Trash to save your changes; they are kept as a draft meanwhile.'
+    );
+    return false;
+  }
+  if (JSON.stringify(current) === JSON.stringify(formState.recipe)) return true;
+
+  const fields = diffRecipes(formState.recipe, current).map(
+    (change) => REVISION_FIELD_LABELS[change.field]
+  );
+  const { value } = await showDialog({
+    title: 'Changed in another tab',
+    html: `<p>This recipe was saved in another tab after you started editing it${
+      fields.length ? ` (${escapeHtml(fields.join(', '))})` : ''
+    }.</p><p>Overwrite those changes with yours, or load the other version and discard your edits?</p>`,
+    actions: [
+      { label: 'Keep editing', value: 'cancel' },
+      { label: 'Load other version', value: 'reload' },
+      { label: 'Overwrite', value: 'overwrite', primary: true },
+    ],
+    cancelValue: 'cancel',
+  });
+  if (value === 'reload') {
+    await untrackForm(false);
+    await showAddEditPage(id);
+  }
+  return value === 'overwrite';
+}
+
+/**
+ * Put recipe data into the add/edit form fields
+ * @param {Object} recipe - Recipe data; missing fields leave the input empty
+ */
+function fillRecipeForm(recipe) {
+  document.getElementById('title').value = recipe.title || '';
+  document.getElementById('description').value = recipe.description || '';
+  setTimeSelect('prepTime', recipe.prepTime || 0);
+  setTimeSelect('cookTime', recipe.cookTime || 0);
+  document.getElementById('servings').value = recipe.servings || '';
+  document.getElementById('difficulty').value = recipe.difficulty || '';
+  if (document.getElementById('type'))
+    document.getElementById('type').value = recipe.type || '';
+  document.getElementById('cuisine').value = recipe.cuisine || '';
+  document.getElementById('course').value = recipe.course || '';
+  document.getElementById('tagList').innerHTML = '';
+  (recipe.tags || []).forEach(addFormTag);
   document.getElementById('imageUrl').value = recipe.imageUrl || '';
+  setFormImage(recipe.imageId || '');
+
+  const ingContainer = document.getElementById('ingredientsContainer');
+  ingContainer.innerHTML = '';
+  (recipe.ingredients || []).forEach((ing) => addIngredient(ing));
+  if (!recipe.ingredients || recipe.ingredients.length === 0) addIngredient();
+
+  const stepsContainer = document.getElementById('stepsContainer');
+  stepsContainer.innerHTML = '';
+  (recipe.steps || []).forEach((step) => addStep(step));
+  if (!recipe.steps || recipe.steps.length === 0) addStep();
+}
+
+/**
+ * Select a time in one of the minute dropdowns. Times that are not among
+ * the preset options (e.g. 20 min) get an option of their own instead of
+ * silently leaving the field blank.
+ */
+function setTimeSelect(id, minutes) {
+  const select = document.getElementById(id);
+  const value = String(minutes);
+  if (!Array.from(select.options).some((opt) => opt.value === value)) {
+    const option = new Option(`${minutes} min`, value);
+    const next = Array.from(select.options).find(
+      (opt) => opt.value !== '' && parseInt(opt.value) > minutes
+    );
+    select.add(option, next || null);
+  }
+  select.value = value;
+}
+
+function addIngredient(value = null) {
+  const container = document.getElementById('ingredientsContainer');
+  if (!container) return;
+  const ing = value ? toIngredient(value) : toIngredient({});
+  const div = document.createElement('div');
+  div.className = 'ingredient-item';
+  div.innerHTML = `
+    <input type="text" class="ingredient-qty" placeholder="Qty" aria-label="Quantity" value="${escapeHtml(
+      formatQuantityInput(ing)
+    )}">
+    <input type="text" class="ingredient-unit" placeholder="Unit" aria-label="Unit" list="unitOptions" value="${escapeHtml(
+      ing.unit
+    )}">
+    <input type="text" class="ingredient-name" placeholder="e.g., flour" aria-label="Ingredient" value="${escapeHtml(
+      ing.name
+    )}">
+    <input type="text" class="ingredient-note" placeholder="Note (optional)" aria-label="Note" value="${escapeHtml(
+      ing.note
+    )}">
+    <button type="button" class="btn-remove" onclick="removeIngredient(this)">×</button>
+  `;
+  div
+    .querySelector('.ingredient-name')
+    .addEventListener('change', splitIngredientName);
+  container.appendChild(div);
+}
+
+/**
+ * Quantity as typed into the form: exact, so saving never rounds it
+ * @param {Object} ing - Structured ingredient
+ * @returns {string}
+ */
+function formatQuantityInput(ing) {
+  if (ing.quantity === null) return '';
+  const exact = (n) => {
+    const text = formatNumber(n);
+    return Math.abs(parseNumber(text) - n) < 1e-6 ? text : String(n);
+  };
+  return ing.quantityMax !== null
+    ? `${exact(ing.quantity)}-${exact(ing.quantityMax)}`
+    : exact(ing.quantity);
+}
+
+/**
+ * A whole line typed or pasted into the name field ("2 cups flour, sifted")
+ * is split into the quantity, unit, name and note fields
+ */
+function splitIngredientName(e) {
+  const row = e.target.closest('.ingredient-item');
+  const qty = row.querySelector('.ingredient-qty');
+  const unit = row.querySelector('.ingredient-unit');
+  if (qty.value.trim() || unit.value.trim()) return;
+
+  const ing = parseIngredient(e.target.value);
+  if (ing.quantity === null) return;
+  const note = row.querySelector('.ingredient-note');
+  qty.value = formatQuantityInput(ing);
+  unit.value = ing.unit;
+  e.target.value = ing.name;
+  if (ing.note && !note.value.trim()) note.value = ing.note;
+}
+
+/**
+ * Read one ingredient row of the form
+ * @param {HTMLElement} row - .ingredient-item element
+ * @returns {Object} Structured ingredient (quantity stays null if invalid)
+ */
+function readIngredientRow(row) {
+  const parsed = parseQuantity(row.querySelector('.ingredient-qty').value);
+  return {
+    quantity: parsed ? parsed.quantity : null,
+    quantityMax: parsed ? parsed.quantityMax : null,
+    unit: normalizeUnit(row.querySelector('.ingredient-unit').value),
+    name: row.querySelector('.ingredient-name').value.trim(),
+    note: row.querySelector('.ingredient-note').value.trim(),
+  };
+}
+
+function populateUnitOptions() {
+  const list = document.getElementById('unitOptions');
+  if (!list) return;
+  list.innerHTML = Object.keys(INGREDIENT_UNITS)
+    .map((unit) => `<option value="${escapeHtml(unit)}"></option>`)
+    .join('');
+}
+
+function removeIngredient(btn) {
+  const container = document.getElementById('ingredientsContainer');
+  if (container && container.children.length > 1) {
+    btn.parentElement.remove();
+  } else {
+    alert('At least one ingredient required');
+  }
+}
+
+function addStep(value = '') {
+  const container = document.getElementById('stepsContainer');
+  if (!container) return;
+  const div = document.createElement('div');
+  div.className = 'step-item';
+  div.innerHTML = `
+    <textarea class="step-input" rows="2" placeholder="Enter step">${escapeHtml(
+      value
+    )}</textarea>
+    <button type="button" class="btn-remove" onclick="removeStep(this)">×</button>
+  `;
+  container.appendChild(div);
+}
+
+function removeStep(btn) {
+  const container = document.getElementById('stepsContainer');
+  if (container && container.children.length > 1) {
+    btn.parentElement.remove();
+  } else {
+    alert('At least one step required');
+  }
+}
+
+// Tags being edited are kept as chips in #tagList
+function getFormTags() {
+  const chips = Array.from(document.querySelectorAll('#tagList .tag-chip'));
+  const pending = document.getElementById('tagInput').value;
+  return normalizeTags([...chips.map((chip) => chip.dataset.tag), pending]);
+}
+
+function addFormTag(value) {
+  const list = document.getElementById('tagList');
+  const tag = normalizeTag(value);
+  if (!tag || list.querySelector(`[data-tag="${tag}"]`)) return;
+  const chip = document.createElement('span');
+  chip.className = 'tag-chip';
+  chip.dataset.tag = tag;
+  chip.innerHTML = `
+    #${escapeHtml(tag)}
+    <button type="button" onclick="this.parentElement.remove()"
+      title="Remove tag">×</button>
+  `;
+  list.appendChild(chip);
+}
+
+function handleTagKeydown(e) {
+  const input = e.target;
+  if (e.key === 'Enter' || e.key === ',') {
+    e.preventDefault();
+    addFormTag(input.value);
+    input.value = '';
+  } else if (e.key === 'Backspace' && !input.value) {
+    document.querySelector('#tagList .tag-chip:last-child')?.remove();
+  }
+}
+
+// Fires when a suggestion is picked from the list or the field loses focus
+function handleTagChange(e) {
+  addFormTag(e.target.value);
+  e.target.value = '';
+}
+
+/**
+ * Suggest existing tags, most used first
+ */
+async function populateTagOptions() {
+  const counts = countFacets(await Recipes.getAll());
+  document.getElementById('tagOptions').innerHTML = Array.from(counts)
+    .filter(([facet]) => facet.startsWith('tag:'))
+    .sort((a, b) => b[1] - a[1])
+    .map(([facet]) => `<option value="${escapeHtml(facet.slice(4))}"></option>`)
+    .join('');
+}
+
+function getFormData() {
+  const ingredients = Array.from(document.querySelectorAll('.ingredient-item'))
+    .map(readIngredientRow)
+    .filter((ing) => ing.name);
+
+  const steps = Array.from(document.querySelectorAll('.step-input'))
+    .map((ta) => ta.value.trim())
+    .filter((v) => v);
+
+  return {
+    title: document.getElementById('title').value.trim(),
+    description: document.getElementById('description').value.trim(),
+    prepTime: parseInt(document.getElementById('prepTime').value) || 0,
+    cookTime: parseInt(document.getElementById('cookTime').value) || 0,
+    servings: Number(document.getElementById('servings').value) || 0,
+    difficulty: document.getElementById('difficulty').value,
+    type: document.getElementById('type')
+      ? document.getElementById('type').value
+      : '',
+    cuisine: document.getElementById('cuisine').value,
+    course: document.getElementById('course').value,
+    tags: getFormTags(),
+    imageUrl: document.getElementById('imageUrl').value.trim(),
+    imageId: formImage.id,
+    ingredients,
+    steps,
+  };
+}
+
+const RECIPE_FIELDS = [
+  'title',
+  'description',
+  'prepTime',
+  'cookTime',
+  'servings',
+  'difficulty',
+  'type',
+  'cuisine',
+  'course',
+  'tags',
+  'imageUrl',
+  'ingredients',
+  'steps',
+];
+
+/**
+ * Validate recipe data from the form or from an imported file
+ * @param {Object} data - Recipe data
+ * @returns {Object} Error messages keyed by field, empty when valid
+ */
+function validateRecipe(data) {
+  const errors = {};
+  const text = (value) => (typeof value === 'string' ? value.trim() : '');
+
+  if (text(data.title).length < 3) {
+    errors.title = 'Title must be 3+ chars';
+  }
+  if (text(data.description).length < 10) {
+    errors.description = 'Description must be 10+ chars';
+  }
+  if (!Number.isInteger(data.prepTime) || data.prepTime < 0) {
+    errors.prepTime = 'Select prep time';
+  }
+  if (!Number.isInteger(data.cookTime) || data.cookTime < 0) {
+    errors.cookTime = 'Select cook time';
+  }
+  if (
+    !Number.isInteger(data.servings) ||
+    data.servings < 1 ||
+    data.servings > MAX_SERVINGS
+  ) {
+    errors.servings = `Servings must be 1-${MAX_SERVINGS}`;
+  }
+  if (!['easy', 'medium', 'hard'].includes(data.difficulty)) {
+    errors.difficulty = 'Select difficulty';
+  }
+  if (!['veg', 'non-veg'].includes(data.type)) {
+    errors.type = 'Select type';
+  }
+  if (data.cuisine && !CUISINES[data.cuisine]) {
+    errors.cuisine = 'Unknown cuisine';
+  }
+  if (data.course && !COURSES[data.course]) {
+    errors.course = 'Unknown course';
+  }
+  if (
+    !Array.isArray(data.tags) ||
+    data.tags.some((t) => typeof t !== 'string')
+  ) {
+    errors.tags = 'Tags must be a list of words';
+  } else if (data.tags.length > MAX_TAGS) {
+    errors.tags = `Up to ${MAX_TAGS} tags`;
+  } else if (data.tags.some((t) => t.length > MAX_TAG_LENGTH)) {
+    errors.tags = `Tags must be ${MAX_TAG_LENGTH} chars or fewer`;
+  } else if (data.tags.some((t) => normalizeTag(t) !== t)) {
+    errors.tags = 'Tags must be lowercase words without punctuation';
+  }
+  if (data.imageUrl && !isValidUrl(data.imageUrl)) {
+    errors.imageUrl = 'Invalid URL';
+  }
+  if (data.imageId !== undefined && typeof data.imageId !== 'string') {
+    errors.imageUrl = 'Invalid photo reference';
+  }
+  if (!Array.isArray(data.ingredients) || data.ingredients.length === 0) {
+    errors.ingredients = 'Add at least one ingredient';
+  } else if (data.ingredients.some((ing) => !ing || !text(ing.name))) {
+    errors.ingredients = 'Every ingredient needs a name';
+  }
+  if (!Array.isArray(data.steps) || !data.steps.some((step) => text(step))) {
+    errors.steps = 'Add at least one step';
+  }
+  return errors;
+}
+
+function validateForm() {
+  const data = getFormData();
+  const errors = validateRecipe(data);
+
+  // Rows the form drops silently would otherwise lose what was typed
+  const ingredientRows = Array.from(
+    document.querySelectorAll('.ingredient-item')
+  );
+  const badQuantity = ingredientRows.some((row) => {
+    const qty = row.querySelector('.ingredient-qty').value.trim();
+    return qty && !parseQuantity(qty);
+  });
+  const missingName = ingredientRows.some(
+    (row) =>
+      !row.querySelector('.ingredient-name').value.trim() &&
+      (row.querySelector('.ingredient-qty').value.trim() ||
+        row.querySelector('.ingredient-unit').value.trim())
+  );
+  if (!errors.ingredients && badQuantity) {
+    errors.ingredients = 'Quantities must look like 2, 1/2 or 3-4';
+  } else if (!errors.ingredients && missingName) {
+    errors.ingredients = 'Every ingredient needs a name';
+  }
+
+  RECIPE_FIELDS.forEach((field) => {
+    if (errors[field]) showFieldError(field, errors[field]);
+    else clearFieldError(field);
+  });
+  // Only a warning: detection can be wrong, so the cook has the last word
+  document.getElementById('typeWarning').textContent = errors.type
+    ? ''
+    : getTypeWarning(data);
+  return Object.keys(errors).length === 0;
+}
+
+/**
+ * @returns {Promise<boolean>} Whether to save despite the type warning
+ */
+async function confirmTypeWarning() {
+  const warning = document.getElementById('typeWarning').textContent;
+  if (!warning) return true;
+  const { value } = await showDialog({
+    title: 'Check the type',
+    html: `<p>${escapeHtml(warning)}</p>`,
+    cancelValue: 'change',
+    actions: [
+      { label: 'Change type', value: 'change' },
+      { label: 'Save anyway', value: 'save', primary: true },
+    ],
+  });
+  // The user may have left the form (e.g. with Back) while asked
+  if (document.getElementById('addEditPage').style.display === 'none') {
+    return false;
+  }
+  if (value === 'save') return true;
+  document.getElementById('type').focus();
+  return false;
+}
+
+async function handleFormSubmit(e) {
+  e.preventDefault();
+  if (!validateForm()) return;
+  if (!(await confirmTypeWarning())) return;
+
+  const data = getFormData();
+  const { recipeId, quarantineId } =
+    document.getElementById('recipeForm').dataset;
+  if (recipeId && !(await checkEditConflict(parseInt(recipeId)))) return;
+  if (!(await storeFormImage(data))) {
+    alert('The photo could not be saved.');
+    return;
+  }
+  let result;
+
+  if (quarantineId) {
+    result = await repairQuarantined(quarantineId, data);
+    await settleFormImage(data.imageId, !!result);
+    if (result) {
+      await untrackForm(false);
+      alert('Recipe repaired!');
+      Router.navigate('/recovery', null, { replace: true });
+      return;
+    }
+  } else if (recipeId) {
+    result = await Recipes.update(parseInt(recipeId), data);
+    await settleFormImage(data.imageId, !!result);
+    if (result) {
+      await untrackForm(false);
+      alert('Recipe updated!');
+      Router.navigate(`/recipe/${recipeId}`, null, { replace: true });
+      return;
+    }
+  } else {
+    result = await Recipes.add(data);
+    await settleFormImage(data.imageId, !!result);
+    if (result) {
+      await untrackForm(false);
+      alert('Recipe added!');
+      navigateHome({ replace: true });
+      return;
+    }
+  }
+  alert('Operation failed');
+}
+
+// ========== PAGE NAVIGATION ==========
+function showPage(pageId) {
+  // Whatever page comes next, the form as it was is kept as a draft
+  if (formState.baseline !== null) untrackForm();
+
+  document.querySelectorAll('main > .page').forEach((page) => {
+    page.style.display = page.id === pageId ? 'block' : 'none';
+  });
+
+  // Back-to-top button belongs to the detail page only
+  const backToTopBtn = document.querySelector('.back-to-top');
+  if (backToTopBtn) {
+    backToTopBtn.remove();
+  }
+  if (pageId !== 'cookPage') stopCookMode();
+}
+
+function showHomePage() {
+  showPage('homePage');
+  displayRecipes();
+  updateRecoveryBanner();
+  updateTrashLink();
+}
+
+/**
+ * @param {number|null} id - Recipe to edit, null for a new one
+ * @param {Object} [options]
+ * @param {boolean} [options.draft] - Keep and offer drafts; the repair
+ *   page fills the form itself and keeps none
+ */
+async function showAddEditPage(id = null, { draft = true } = {}) {
+  showPage('addEditPage');
+  formState.recipe = null;
+
+  const form = document.getElementById('recipeForm');
+  delete form.dataset.recipeId;
+  delete form.dataset.quarantineId;
+  const title = document.getElementById('formTitle');
+  if (title) title.textContent = 'Add New Recipe';
+
+  // Importing from a web page only makes sense for new recipes
+  document.getElementById('htmlImport').style.display = id ? 'none' : 'block';
+  document.getElementById('htmlImportPanel').hidden = true;
+  document.getElementById('textImportPanel').hidden = true;
+  document.getElementById('htmlImportStatus').textContent = '';
+  document.getElementById('typeWarning').textContent = '';
+
+  // Leaving the form returns to the recipe being edited, or home
+  const exitHash = id ? `#/recipe/${id}` : getHomeHash();
+  document.getElementById('formBackLink').setAttribute('href', exitHash);
+  document.getElementById('formCancelLink').setAttribute('href', exitHash);
+
+  form.reset();
+  setFormImage('');
+  document.getElementById('tagList').innerHTML = '';
+  populateTagOptions();
+  document.getElementById('ingredientsContainer').innerHTML = '';
+  document.getElementById('stepsContainer').innerHTML = '';
+  addIngredient();
+  addStep();
+
+  // default to veg for new recipe form
+  if (!id && document.getElementById('type')) {
+    document.getElementById('type').value = 'veg';
+  }
+
+  if (id && !(await loadRecipeForEdit(id))) return;
+  if (draft) await trackForm(id ? String(id) : 'new');
+}
+
+function showNotFound(message) {
+  showPage('notFoundPage');
+  document.getElementById('notFoundMessage').textContent =
+    message || 'The page you are looking for does not exist.';
+  document
+    .getElementById('notFoundHomeLink')
+    .setAttribute('href', getHomeHash());
+}
+
+// Tag chips on the detail page open the home page filtered by that tag
+function createTagLinks(tags) {
+  if (!tags || tags.length === 0) return '';
+  return `<div class="recipe-tags">${tags
+    .map(
+      (tag) =>
+        `<a class="tag-chip" href="${Router.buildHash(
+          '/',
+          new URLSearchParams({ facets: `tag:${tag}` }).toString()
+        )}">#${escapeHtml(tag)}</a>`
+    )
+    .join('')}</div>`;
+}
+
+async function showRecipeDetail(id, servings = null) {
+  const recipe = await Recipes.getById(id);
+  if (!recipe) {
+    showNotFound(`No recipe with id ${id} exists.`);
+    return;
+  }
+
+  showPage('detailPage');
+
+  const detail = document.getElementById('recipeDetail');
+  const badge = getDifficultyBadge(recipe.difficulty);
+  const typeBadge = getTypeBadge(recipe.type);
+  const totalTime = recipe.prepTime + recipe.cookTime;
+
+  const img = createRecipeImage(recipe, 'recipe-image', appendCacheBuster);
+
+  const editSvg = `<svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><path d="M11 4H4a2 2 0 0 0-2 2v14a2 2 0 0 0 2 2h14a2 2 0 0 0 2-2v-7"></path><path d="M18.5 2.5a2.121 2.121 0 0 1 3 3L12 15l-4 1 1-4 9.5-9.5z"></path></svg>`;
+  const historySvg = `<svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><path d="M3 12a9 9 0 1 0 3-6.7L3 8"></path><polyline points="3 3 3 8 8 8"></polyline><polyline points="12 7 12 12 15 14"></polyline></svg>`;
+  const deleteSvg = `<svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><polyline points="3 6 5 6 21 6"></polyline><path d="M19 6v14a2 2 0 0 1-2 2H7a2 2 0 0 1-2-2V6m3 0V4a2 2 0 0 1 2-2h4a2 2 0 0 1 2 2v2"></path><line x1="10" y1="11" x2="10" y2="17"></line><line x1="14" y1="11" x2="14" y2="17"></line></svg>`;
+
+  detail.innerHTML = `
+    <div class="recipe-detail-header">
+      <a href="${getHomeHash()}" class="back-link">← Back to Recipes</a>
+      <div class="recipe-actions">
+        <a href="#/recipe/${
+          recipe.id
+        }/edit" class="btn-icon-edit" title="Edit">${editSvg}</a>
+        <a href="#/recipe/${
+          recipe.id
+        }/history" class="btn-icon-edit" title="History">${historySvg}</a>
+        <button onclick="deleteRecipe(${
+          recipe.id
+        })" class="btn-icon-delete" title="Move to trash">${deleteSvg}</button>
+      </div>
+    </div>
+
+    <div class="recipe-intro-row">
+      ${img}
+      <div class="recipe-intro-text">
+        <h1>${escapeHtml(recipe.title)}</h1>
+        <p class="recipe-description">${escapeHtml(recipe.description)}</p>
+        <div class="recipe-meta">
+          <div class="meta-item">
+            <span class="meta-label">Prep Time:</span>
+            <span class="meta-value">${recipe.prepTime} min</span>
+          </div>
+          <div class="meta-item">
+            <span class="meta-label">Cook Time:</span>
+            <span class="meta-value">${recipe.cookTime} min</span>
+          </div>
+          <div class="meta-item">
+            <span class="meta-label">Total Time:</span>
+            <span class="meta-value">${totalTime} min</span>
+          </div>
+          <div class="meta-item">
+            <span class="meta-label">Difficulty:</span>
+            <span class="meta-value">${badge}</span>
+          </div>
+          <div class="meta-item">
+            <span class="meta-label">Type:</span>
+            <span class="meta-value">${typeBadge}${getDietBadges(recipe)}</span>
+          </div>
+          ${
+            recipe.cuisine
+              ? `<div class="meta-item">
+            <span class="meta-label">Cuisine:</span>
+            <span class="meta-value">${escapeHtml(
+              getFacetLabel(`cuisine:${recipe.cuisine}`)
+            )}</span>
+          </div>`
+              : ''
+          }
+          ${
+            recipe.course
+              ? `<div class="meta-item">
+            <span class="meta-label">Course:</span>
+            <span class="meta-value">${escapeHtml(
+              getFacetLabel(`course:${recipe.course}`)
+            )}</span>
+          </div>`
+              : ''
+          }
+        </div>
+        ${createTagLinks(recipe.tags)}
+        <div class="recipe-share">
+          <button type="button" class="btn-small" onclick="printRecipe()">🖨 Print</button>
+          <button type="button" class="btn-small" onclick="copyRecipeMarkdown()">📋 Copy as Markdown</button>
+          <button type="button" class="btn-small" onclick="downloadRecipeText()">⬇ Download .txt</button>
+        </div>
+        <div id="detailActivity" class="recipe-activity"></div>
+      </div>
+    </div>
+
+    <div class="recipe-section recipe-ingredients-section">
+      <div class="section-heading">
+        <h2>Ingredients</h2>
+        <div class="servings-control">
+          <button type="button" class="servings-btn" onclick="changeServings(-1)" aria-label="Fewer servings">−</button>
+          <span class="servings-value"><span id="servingsValue"></span> servings</span>
+          <button type="button" class="servings-btn" onclick="changeServings(1)" aria-label="More servings">+</button>
+          <button type="button" class="servings-reset" id="servingsReset" onclick="changeServings(0)">Reset</button>
+          <select id="unitSystemSelect" class="unit-system-select" onchange="changeUnitSystem(this.value)" aria-label="Units">
+            ${Object.entries(UNIT_SYSTEMS)
+              .map(
+                ([value, label]) =>
+                  `<option value="${value}" ${
+                    value === getUnitSystem() ? 'selected' : ''
+                  }>${label}</option>`
+              )
+              .join('')}
+          </select>
+        </div>
+      </div>
+      <ul class="ingredients-list" id="detailIngredients"></ul>
+    </div>
+
+    <div class="recipe-section recipe-nutrition-section">
+      <h2>Nutrition</h2>
+      <div id="detailNutrition"></div>
+    </div>
+
+    <div class="recipe-section recipe-steps-section">
+      <div class="section-heading">
+        <h2>Instructions</h2>
+        <button type="button" class="btn-small" onclick="openCookMode()">👩‍🍳 Cook mode</button>
+      </div>
+      <ol class="steps-list">
+        ${recipe.steps
+          .map(
+            (step, i) => `
+          <li>
+            <span class="step-number">${i + 1}</span>
+            <span class="step-text">${escapeHtml(step)}</span>
+          </li>
+        `
+          )
+          .join('')}
+      </ol>
+    </div>
+
+    <div class="recipe-section recipe-log-section">
+      <h2>Cooking Log</h2>
+      <ul class="cooking-log" id="cookingLog"></ul>
+    </div>
+  `;
+
+  loadStoredImages(detail);
+  renderDetailActivity(recipe.id);
+  detailServings.recipe = recipe;
+  setServings(servings || recipe.servings || DEFAULT_SERVINGS);
+  renderDetailNutrition();
+
+  // Add back-to-top button
+  const backToTopBtn = document.createElement('button');
+  backToTopBtn.className = 'back-to-top';
+  backToTopBtn.innerHTML = '↑';
+  backToTopBtn.onclick = scrollToTop;
+  document.body.appendChild(backToTopBtn);
+}
+
+// Servings shown on the detail page; ingredient amounts scale to match
+const detailServings = { recipe: null, servings: 0 };
+
+function setServings(servings) {
+  const { recipe } = detailServings;
+  const base = recipe.servings || DEFAULT_SERVINGS;
+  detailServings.servings = Math.min(Math.max(servings, 1), MAX_SERVINGS);
+  const factor = detailServings.servings / base;
+
+  document.getElementById('servingsValue').textContent =
+    detailServings.servings;
+  document.getElementById('servingsReset').style.visibility =
+    factor === 1 ? 'hidden' : 'visible';
+  renderDetailIngredients();
+
+  // Keep the chosen servings in the URL so the link can be shared
+  Router.updateQuery(
+    `/recipe/${recipe.id}`,
+    factor === 1 ? null : { servings: detailServings.servings }
+  );
+}
+
+/**
+ * Render the ingredient list scaled to the chosen servings and converted to
+ * the preferred unit system
+ */
+function renderDetailIngredients() {
+  const { recipe, servings } = detailServings;
+  const factor = servings / (recipe.servings || DEFAULT_SERVINGS);
+  const system = getUnitSystem();
+
+  document.getElementById('detailIngredients').innerHTML = recipe.ingredients
+    .map((ing) => {
+      const scaled = scaleIngredient(ing, factor);
+      const converted = convertIngredient(scaled, system);
+      const title =
+        converted !== scaled
+          ? ` title="As written: ${escapeHtml(formatIngredient(scaled))}"`
+          : '';
+      return `<li${title}>${escapeHtml(formatIngredient(converted))}</li>`;
+    })
+    .join('');
+}
+
+function changeUnitSystem(system) {
+  Storage.savePreference(Storage.UNIT_SYSTEM_KEY, system);
+  renderDetailIngredients();
+}
+
+/**
+ * @param {number} delta - +1/-1 to step, 0 to reset to the recipe's servings
+ */
+function changeServings(delta) {
+  const { recipe, servings } = detailServings;
+  setServings(
+    delta === 0 ? recipe.servings || DEFAULT_SERVINGS : servings + delta
+  );
+}
+
+function openCookMode() {
+  const { recipe, servings } = detailServings;
+  Router.navigate(
+    `/recipe/${recipe.id}/cook`,
+    servings !== (recipe.servings || DEFAULT_SERVINGS) ? { servings } : null
+  );
+}
+
+async function deleteRecipe(id) {
+  const recipe = await Recipes.getById(id);
+  if (!recipe || !(await Recipes.delete(id))) {
+    alert('Operation failed');
+    return;
+  }
+  navigateHome({ replace: true });
+  showSnackbar(`"${recipe.title}" moved to Trash.`, {
+    actionLabel: 'Undo',
+    onAction: () => restoreRecipe(id),
+  });
+}
+
+function scrollToTop() {
+  window.scrollTo({ top: 0, behavior: 'smooth' });
+}
+
+function filterByType(type) {
+  window.currentTypeFilter = type;
+  updateTypeFilterToggle(type);
+  displayRecipes();
+}
+
+function handleTypeToggle() {
+  const toggle = document.getElementById('typeToggle');
+  if (toggle.checked) {
+    filterByType('non-veg');
+  } else {
+    filterByType('veg');
+  }
+}
+
+function updateTypeFilterToggle(type) {
+  const toggle = document.getElementById('typeToggle');
+  const slider = document.querySelector('.toggle-slider');
+  const clearBtn = document.getElementById('clearTypeFilterBtn');
+
+  if (type === 'all') {
+    toggle.checked = false;
+    if (slider) slider.classList.remove('active-red', 'active-green');
+    if (clearBtn) clearBtn.classList.remove('active');
+  } else if (type === 'non-veg') {
+    toggle.checked = true;
+    if (slider) {
+      slider.classList.remove('active-green');
+      slider.classList.add('active-red');
+    }
+    if (clearBtn) clearBtn.classList.add('active');
+  } else if (type === 'veg') {
+    toggle.checked = false;
+    if (slider) {
+      slider.classList.remove('active-red');
+      slider.classList.add('active-green');
+    }
+    if (clearBtn) clearBtn.classList.add('active');
+  }
+}
+
+// ========== STEP TIMERS ==========
+// "3-4 minutes", "1 hr", "10-minute", "an hour"
+const DURATION_RE = new RegExp(
+  `\\b(${NUMBER_PATTERN}|an?)(?:\\s*(?:-|–|—|to)\\s*(${NUMBER_PATTERN}))?[\\s-]*(hours?|hrs?|minutes?|mins?|seconds?|secs?)\\b`,
+  'gi'
+);
+const DURATION_SECONDS = { h: 3600, m: 60, s: 1 };
+
+/**
+ * Find cooking times in a step. "1 hour 30 minutes" is one duration.
+ * @param {string} text
+ * @returns {Array<{start: number, end: number, seconds: number, secondsMax: number|null}>}
+ *   Positions in the text and the duration; secondsMax is set for ranges
+ */
+function detectDurations(text) {
+  const found = [];
+  for (const match of (text || '').matchAll(DURATION_RE)) {
+    const unit = DURATION_SECONDS[match[3][0].toLowerCase()];
+    const low = /^an?$/i.test(match[1]) ? 1 : parseNumber(match[1]);
+    const high = match[2] ? parseNumber(match[2]) : null;
+    if (!low) continue;
+    const duration = {
+      start: match.index,
+      end: match.index + match[0].length,
+      seconds: Math.round(low * unit),
+      secondsMax: high > low ? Math.round(high * unit) : null,
+      unit,
+    };
+    const previous = found[found.length - 1];
+    if (
+      previous &&
+      previous.unit > unit &&
+      !previous.secondsMax &&
+      !duration.secondsMax &&
+      /^\s*(?:and\s*)?$/i.test(text.slice(previous.end, duration.start))
+    ) {
+      previous.end = duration.end;
+      previous.seconds += duration.seconds;
+      previous.unit = unit;
+    } else {
+      found.push(duration);
+    }
+  }
+  return found.map(({ unit, ...duration }) => duration);
+}
+
+/**
+ * @param {number} seconds
+ * @returns {string} "4:05" or "1:02:00"
+ */
+function formatTimer(seconds) {
+  const h = Math.floor(seconds / 3600);
+  const m = Math.floor((seconds % 3600) / 60);
+  const s = String(seconds % 60).padStart(2, '0');
+  return h ? `${h}:${String(m).padStart(2, '0')}:${s}` : `${m}:${s}`;
+}
+
+/**
+ * Countdown timers for cook mode. Several can run at once; each counts
+ * down to a fixed end time so throttled background tabs stay accurate.
+ * They keep running after leaving cook mode, until cancelled.
+ */
+const CookTimers = {
+  timers: [], // [{ id, label, href, endsAt, done }]
+  interval: null,
+  nextId: 1,
+
+  /**
+   * @param {string} label
+   * @param {number} seconds
+   * @param {Function} onTick - Called every second while timers exist
+   * @param {string} href - Back to the step the timer belongs to
+   */
+  start(label, seconds, onTick, href) {
+    this.timers.push({
+      id: this.nextId++,
+      label,
+      href,
+      endsAt: Date.now() + seconds * 1000,
+      done: false,
+    });
+    if (!this.interval) {
+      this.interval = setInterval(() => onTick(), 1000);
+    }
+  },
+
+  remaining(timer) {
+    return Math.max(0, Math.ceil((timer.endsAt - Date.now()) / 1000));
+  },
+
+  /**
+   * Mark timers that reached zero as done
+   * @returns {Array} Timers that finished since the last call
+   */
+  collectFinished() {
+    const finished = this.timers.filter(
+      (timer) => !timer.done && this.remaining(timer) === 0
+    );
+    finished.forEach((timer) => {
+      timer.done = true;
+    });
+    return finished;
+  },
+
+  cancel(id) {
+    this.timers = this.timers.filter((timer) => timer.id !== id);
+    if (this.timers.length === 0) this.clear();
+  },
+
+  clear() {
+    this.timers = [];
+    clearInterval(this.interval);
+    this.interval = null;
+  },
+};
+
+// ========== UI - COOK MODE ==========
+const cookState = {
+  recipe: null,
+  step: 0,
+  servings: 0,
+  durations: [], // detected in the current step
+  checked: new Set(), // indexes of ticked-off ingredients
+  wakeLock: null,
+  touchStartX: null,
+};
+let audioContext = null;
+
+/**
+ * @param {number} id - Recipe id
+ * @param {Object} options
+ * @param {number} options.step - 1-based
+ * @param {number|null} options.servings - Defaults to the recipe's own
+ */
+async function showCookMode(id, { step, servings }) {
+  const recipe = await Recipes.getById(id);
+  if (!recipe) {
+    showNotFound(`No recipe with id ${id} exists.`);
+    return;
+  }
+  if (cookState.recipe?.id !== recipe.id) cookState.checked = new Set();
+  const wasCooking = cookState.recipe !== null;
+  cookState.recipe = recipe;
+  cookState.servings = Math.min(
+    servings || recipe.servings || DEFAULT_SERVINGS,
+    MAX_SERVINGS
+  );
+
+  showPage('cookPage');
+  document.getElementById('cookTitle').textContent = recipe.title;
+  document
+    .getElementById('cookExit')
+    .setAttribute(
+      'href',
+      Router.buildHash(
+        `/recipe/${recipe.id}`,
+        servings ? { servings: cookState.servings } : null
+      )
+    );
+  document.getElementById('cookServings').textContent = `${
+    cookState.servings
+  } servings`;
+  renderCookIngredients();
+  renderCookTimers();
+  setCookStep(step - 1);
+
+  if (!wasCooking) {
+    document.addEventListener('keydown', handleCookKeydown);
+    document.addEventListener('visibilitychange', handleCookVisibility);
+    requestWakeLock();
+  }
+}
+
+/**
+ * Leave cook mode: the screen may sleep again. Running timers move to the
+ * timer tray, so a quick look elsewhere does not lose them.
+ */
+function stopCookMode() {
+  if (!cookState.recipe) return;
+  cookState.recipe = null;
+  renderCookTimers();
+  document.removeEventListener('keydown', handleCookKeydown);
+  document.removeEventListener('visibilitychange', handleCookVisibility);
+  if (cookState.wakeLock) {
+    cookState.wakeLock.release().catch(() => {});
+    cookState.wakeLock = null;
+  }
+  document.getElementById('cookPanel')?.classList.remove('show-ingredients');
+}
+
+function renderCookIngredients() {
+  const { recipe, servings, checked } = cookState;
+  const factor = servings / (recipe.servings || DEFAULT_SERVINGS);
+  const system = getUnitSystem();
+  document.getElementById('cookIngredients').innerHTML = recipe.ingredients
+    .map((ing, i) => {
+      const line = formatIngredient(
+        convertIngredient(scaleIngredient(ing, factor), system)
+      );
+      return `
+        <li class="${checked.has(i) ? 'checked' : ''}">
+          <label>
+            <input type="checkbox" ${checked.has(i) ? 'checked' : ''}
+              onchange="toggleCookIngredient(${i})">
+            ${escapeHtml(line)}
+          </label>
+        </li>`;
+    })
+    .join('');
+}
+
+function toggleCookIngredient(index) {
+  const { checked } = cookState;
+  if (checked.has(index)) {
+    checked.delete(index);
+  } else {
+    checked.add(index);
+  }
+  renderCookIngredients();
+}
+
+function toggleCookIngredientsPanel() {
+  document.getElementById('cookPanel').classList.toggle('show-ingredients');
+}
+
+/**
+ * Step text with each detected duration turned into a timer button
+ */
+function renderStepText(text, durations) {
+  let html = '';
+  let last = 0;
+  durations.forEach((duration, i) => {
+    html += escapeHtml(text.slice(last, duration.start));
+    html += `<button type="button" class="cook-timer-start"
+      onclick="startStepTimer(${i})" title="Start a ${formatTimer(
+        duration.seconds
+      )} timer">⏱ ${escapeHtml(
+        text.slice(duration.start, duration.end)
+      )}</button>`;
+    last = duration.end;
+  });
+  return html + escapeHtml(text.slice(last));
+}
+
+/**
+ * @param {number} index - 0-based, clamped to the recipe's steps
+ */
+function setCookStep(index) {
+  const { recipe } = cookState;
+  const steps = recipe.steps;
+  cookState.step = Math.min(Math.max(index, 0), steps.length - 1);
+  const text = steps[cookState.step] || '';
+  cookState.durations = detectDurations(text);
+
+  document.getElementById('cookProgress').textContent = `Step ${
+    cookState.step + 1
+  } of ${steps.length}`;
+  document.getElementById('cookStepText').innerHTML = renderStepText(
+    text,
+    cookState.durations
+  );
+  document.getElementById('cookPrev').disabled = cookState.step === 0;
+  document.getElementById('cookNext').textContent =
+    cookState.step === steps.length - 1 ? 'Finish ✓' : 'Next →';
+
+  const query = {};
+  if (cookState.servings !== (recipe.servings || DEFAULT_SERVINGS)) {
+    query.servings = cookState.servings;
+  }
+  if (cookState.step > 0) query.step = cookState.step + 1;
+  Router.updateQuery(`/recipe/${recipe.id}/cook`, query);
+}
+
+/**
+ * @param {number} delta - +1 for the next step, -1 for the previous one
+ */
+function cookGo(delta) {
+  const { recipe, step } = cookState;
+  if (delta > 0 && step === recipe.steps.length - 1) {
+    document.getElementById('cookExit').click();
+    return;
+  }
+  setCookStep(step + delta);
+}
+
+function handleCookKeydown(e) {
+  if (['INPUT', 'TEXTAREA', 'SELECT'].includes(e.target.tagName)) return;
+  if (document.querySelector('.modal-overlay')) return;
+  if (e.key === 'ArrowRight' || e.key === 'PageDown') {
+    e.preventDefault();
+    if (cookState.step < cookState.recipe.steps.length - 1) cookGo(1);
+  } else if (e.key === 'ArrowLeft' || e.key === 'PageUp') {
+    e.preventDefault();
+    cookGo(-1);
+  } else if (e.key === 'Escape') {
+    document.getElementById('cookExit').click();
+  }
+}
+
+function handleCookTouchStart(e) {
+  cookState.touchStartX = e.changedTouches[0].clientX;
+}
+
+// A horizontal swipe of more than 60px turns the page
+function handleCookTouchEnd(e) {
+  if (cookState.touchStartX === null) return;
+  const dx = e.changedTouches[0].clientX - cookState.touchStartX;
+  cookState.touchStartX = null;
+  if (Math.abs(dx) < 60) return;
+  if (dx < 0 && cookState.step < cookState.recipe.steps.length - 1) {
+    cookGo(1);
+  } else if (dx > 0) {
+    cookGo(-1);
+  }
+}
+
+function startStepTimer(index) {
+  const duration = cookState.durations[index];
+  if (!duration) return;
+  // Browsers only allow sound after a tap, so unlock audio now
+  getAudioContext()?.resume();
+  // Ranges start with the shorter time: better to check early than burn
+  const text = cookState.recipe.steps[cookState.step];
+  CookTimers.start(
+    `Step ${cookState.step + 1} · ${text.slice(duration.start, duration.end)}`,
+    duration.seconds,
+    updateCookTimers,
+    Router.buildHash(`/recipe/${cookState.recipe.id}/cook`, {
+      step: cookState.step + 1,
+    })
+  );
+  renderCookTimers();
+}
+
+function cancelCookTimer(id) {
+  CookTimers.cancel(id);
+  renderCookTimers();
+}
+
+function updateCookTimers() {
+  if (CookTimers.collectFinished().length > 0) playTimerAlarm();
+  renderCookTimers();
+}
+
+/**
+ * Show the timers in cook mode, or in the tray on any other page
+ */
+function renderCookTimers() {
+  const tray = document.getElementById('timerTray');
+  const inCookMode = cookState.recipe !== null;
+  tray.hidden = inCookMode || CookTimers.timers.length === 0;
+  document.getElementById('cookTimers').innerHTML = inCookMode
+    ? CookTimers.timers.map((timer) => createTimerHtml(timer)).join('')
+    : '';
+  tray.innerHTML = inCookMode
+    ? ''
+    : CookTimers.timers.map((timer) => createTimerHtml(timer, true)).join('');
+}
+
+/**
+ * @param {Object} timer
+ * @param {boolean} [linked] - Label links back to the step, for the tray
+ */
+function createTimerHtml(timer, linked = false) {
+  const label = escapeHtml(timer.label);
+  return `
+      <div class="cook-timer${timer.done ? ' done' : ''}">
+        ${
+          linked
+            ? `<a class="cook-timer-label" href="${escapeHtml(
+                timer.href
+              )}" title="Back to cook mode">${label}</a>`
+            : `<span class="cook-timer-label">${label}</span>`
+        }
+        <span class="cook-timer-time">${
+          timer.done ? 'Done!' : formatTimer(CookTimers.remaining(timer))
+        }</span>
+        <button type="button" class="cook-timer-cancel"
+          onclick="cancelCookTimer(${timer.id})"
+          title="${timer.done ? 'Dismiss' : 'Cancel'}">×</button>
+      </div>`;
+}
+
+function getAudioContext() {
+  const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+  if (!AudioContextClass) return null;
+  if (!audioContext) audioContext = new AudioContextClass();
+  return audioContext;
+}
+
+// Three short beeps, plus a buzz on phones
+function playTimerAlarm() {
+  if (navigator.vibrate) navigator.vibrate([300, 150, 300, 150, 300]);
+  const context = getAudioContext();
+  if (!context) return;
+  [0, 0.4, 0.8].forEach((offset) => {
+    const start = context.currentTime + offset;
+    const oscillator = context.createOscillator();
+    const gain = context.createGain();
+    oscillator.frequency.value = 880;
+    gain.gain.setValueAtTime(0.3, start);
+    gain.gain.exponentialRampToValueAtTime(0.001, start + 0.3);
+    oscillator.connect(gain);
+    gain.connect(context.destination);
+    oscillator.start(start);
+    oscillator.stop(start + 0.3);
+  });
+}
+
+/**
+ * Keep the screen on while cooking, where the Wake Lock API exists
+ */
+async function requestWakeLock() {
+  const status = document.getElementById('cookWakeLock');
+  if (!('wakeLock' in navigator)) {
+    status.textContent = '';
+    return;
+  }
+  try {
+    const lock = await navigator.wakeLock.request('screen');
+    if (!cookState.recipe) {
+      // Left cook mode while the request was pending
+      lock.release();
+      return;
+    }
+    cookState.wakeLock = lock;
+    status.textContent = '☀ Screen stays on';
+    lock.addEventListener('release', () => {
+      cookState.wakeLock = null;
+      status.textContent = '';
+    });
+  } catch (e) {
+    console.error('Wake lock refused:', e);
+    status.textContent = '';
+  }
+}
+
+// The browser drops the wake lock whenever the tab is hidden
+function handleCookVisibility() {
+  if (document.visibilityState === 'visible' && !cookState.wakeLock) {
+    requestWakeLock();
+  }
+}
+
+// ========== HTML RECIPE IMPORT ==========
+/**
+ * Convert an ISO-8601 duration ("PT1H30M", "P0DT45M") to whole minutes
+ * @param {string} duration
+ * @returns {number|null}
+ */
+function parseIsoDuration(duration) {
+  if (typeof duration !== 'string') return null;
+  const match = duration
+    .trim()
+    .match(
+      /^P(?:(\d+(?:\.\d+)?)D)?(?:T(?:(\d+(?:\.\d+)?)H)?(?:(\d+(?:\.\d+)?)M)?(?:(\d+(?:\.\d+)?)S)?)?$/i
+    );
+  if (!match) return null;
+  const [, days, hours, minutes, seconds] = match.map(
+    (v) => parseFloat(v) || 0
+  );
+  return Math.round(days * 1440 + hours * 60 + minutes + seconds / 60);
+}
+
+/**
+ * Turn markup in schema.org text values ("Mix &amp; stir<br>") into text
+ */
+function htmlToText(value) {
+  if (typeof value !== 'string') return '';
+  const doc = new DOMParser().parseFromString(value, 'text/html');
+  return doc.body.textContent.replace(/\s+/g, ' ').trim();
+}
+
+function isRecipeNode(node) {
+  const type = node && node['@type'];
+  return Array.isArray(type) ? type.includes('Recipe') : type === 'Recipe';
+}
+
+/**
+ * Find the first schema.org Recipe in parsed JSON-LD, looking inside
+ * arrays, `@graph` containers and nested objects
+ * @returns {Object|null}
+ */
+function findRecipeNode(data) {
+  if (!data || typeof data !== 'object') return null;
+  if (isRecipeNode(data)) return data;
+  const children = Array.isArray(data) ? data : Object.values(data);
+  for (const child of children) {
+    const found = findRecipeNode(child);
+    if (found) return found;
+  }
+  return null;
+}
+
+/**
+ * Flatten recipeInstructions: a string, a list of strings, HowToStep
+ * objects, or HowToSection objects holding further steps
+ * @returns {Array<string>}
+ */
+function extractInstructions(instructions) {
+  if (!instructions) return [];
+  if (typeof instructions === 'string') {
+    return instructions
+      .split(/\n+|<br\s*\/?>|<\/p>|<\/li>/i)
+      .map(htmlToText)
+      .filter((step) => step);
+  }
+  if (Array.isArray(instructions)) {
+    return instructions.flatMap(extractInstructions);
+  }
+  if (typeof instructions === 'object') {
+    const type = instructions['@type'];
+    if (type === 'HowToSection' || instructions.itemListElement) {
+      const steps = extractInstructions(instructions.itemListElement);
+      // Keep the section heading with its first step
+      const heading = htmlToText(instructions.name);
+      if (heading && steps.length) steps[0] = `${heading}: ${steps[0]}`;
+      return steps;
+    }
+    const text = htmlToText(instructions.text || instructions.name);
+    return text ? [text] : [];
+  }
+  return [];
+}
+
+function extractImageUrl(image) {
+  if (!image) return '';
+  if (typeof image === 'string') return image;
+  if (Array.isArray(image)) return extractImageUrl(image[0]);
+  return typeof image.url === 'string' ? image.url : '';
+}
+
+function extractServings(recipeYield) {
+  const value = Array.isArray(recipeYield) ? recipeYield[0] : recipeYield;
+  const servings = parseInt(value);
+  return servings >= 1 && servings <= MAX_SERVINGS ? servings : null;
+}
+
+// Keywords come as a comma-separated string or an array of strings
+function extractKeywords(keywords) {
+  return []
+    .concat(keywords || [])
+    .flatMap((k) => (typeof k === 'string' ? k.split(',') : []))
+    .filter((k) => k.trim().length <= MAX_TAG_LENGTH);
+}
+
+function matchCuisine(cuisine) {
+  const names = []
+    .concat(cuisine || [])
+    .map((c) => String(c).trim().toLowerCase());
+  return Object.keys(CUISINES).find((key) => names.includes(key)) || '';
+}
+
+/**
+ * Map a schema.org Recipe node onto this app's recipe fields. Difficulty
+ * has no schema.org equivalent and is left for the user to pick.
+ * @param {Object} node - schema.org Recipe
+ * @returns {Object} Partial recipe data
+ */
+function schemaRecipeToRecipe(node) {
+  const prepTime = parseIsoDuration(node.prepTime);
+  let cookTime = parseIsoDuration(node.cookTime);
+  const totalTime = parseIsoDuration(node.totalTime);
+  if (cookTime === null && totalTime !== null) {
+    cookTime = Math.max(totalTime - (prepTime || 0), 0);
+  }
+
+  const diets = [].concat(node.suitableForDiet || []).join(' ');
+  const ingredients = [].concat(
+    node.recipeIngredient || node.ingredients || []
+  );
+
+  return {
+    title: htmlToText(node.name),
+    description: htmlToText(node.description),
+    prepTime: prepTime || 0,
+    cookTime: cookTime || 0,
+    servings: extractServings(node.recipeYield),
+    type: /Vegetarian|Vegan/i.test(diets) ? 'veg' : '',
+    cuisine: matchCuisine(node.recipeCuisine),
+    course: matchCourse(node.recipeCategory),
+    tags: normalizeTags(extractKeywords(node.keywords)).slice(0, MAX_TAGS),
+    imageUrl: extractImageUrl(node.image),
+    ingredients: ingredients
+      .map((line) => parseIngredient(htmlToText(line)))
+      .filter((ing) => ing.name),
+    steps: extractInstructions(node.recipeInstructions),
+  };
+}
+
+/**
+ * Extract a recipe from page source (or from bare JSON-LD)
+ * @param {string} source - HTML or JSON text
+ * @returns {Object} Partial recipe data
+ * @throws {Error} When no schema.org Recipe can be found
+ */
+function extractRecipeFromHtml(source) {
+  const blocks = [];
+  const trimmed = source.trim();
+  if (trimmed.startsWith('{') || trimmed.startsWith('[')) {
+    blocks.push(trimmed);
+  } else {
+    const doc = new DOMParser().parseFromString(source, 'text/html');
+    doc
+      .querySelectorAll('script[type="application/ld+json"]')
+      .forEach((script) => blocks.push(script.textContent));
+  }
+
+  for (const block of blocks) {
+    let data;
+    try {
+      // Some sites wrap JSON-LD in HTML comments or CDATA markers
+      data = JSON.parse(
+        block.replace(
+          /^\s*(<!--|\/\/\s*<!\[CDATA\[)|(-->|\/\/\s*\]\]>)\s*$/g,
+          ''
+        )
+      );
+    } catch (e) {
+      console.error('Skipping unreadable JSON-LD block:', e);
+      continue;
+    }
+    const node = findRecipeNode(data);
+    if (node) return schemaRecipeToRecipe(node);
+  }
+  throw new Error('No schema.org Recipe data found in this page.');
+}
+
+function toggleHtmlImport() {
+  const panel = document.getElementById('htmlImportPanel');
+  panel.hidden = !panel.hidden;
+}
+
+function applyHtmlImport(source) {
+  const status = document.getElementById('htmlImportStatus');
+  try {
+    const recipe = extractRecipeFromHtml(source);
+    fillRecipeForm(recipe);
+    document.getElementById('htmlImportPanel').hidden = true;
+    status.textContent = `Imported "${recipe.title}". Review the fields and save.`;
+    status.classList.remove('error-message');
+  } catch (e) {
+    status.textContent = e.message;
+    status.classList.add('error-message');
+  }
+}
+
+function handleHtmlImportText() {
+  applyHtmlImport(document.getElementById('htmlImportSource').value);
+}
+
+async function handleHtmlImportFile(input) {
+  const file = input.files[0];
+  input.value = '';
+  if (file) applyHtmlImport(await file.text());
+}
+
+// ========== TEXT EXPORT / IMPORT ==========
+/*
+ * Recipes as Markdown, which also reads fine as plain text:
+ *
+ *   # Title
+ *   Description
+ *   - Prep time: 20 min
+ *   - Tags: street food, quick
+ *   ## Ingredients
+ *   - 2 cups flour, sifted
+ *   ## Steps
+ *   1. Mix everything.
+ *
+ * parseRecipeText reads the same format back. Description and step lines
+ * that would be read as something else ("Serves: a crowd", a step line
+ * starting with "- ") are written with a leading backslash.
+ */
+// Metadata line labels, lowercase, and the fields they fill
+const TEXT_FIELDS = {
+  'prep time': 'prepTime',
+  prep: 'prepTime',
+  'preparation time': 'prepTime',
+  'cook time': 'cookTime',
+  cook: 'cookTime',
+  'cooking time': 'cookTime',
+  servings: 'servings',
+  serves: 'servings',
+  yield: 'servings',
+  difficulty: 'difficulty',
+  type: 'type',
+  cuisine: 'cuisine',
+  course: 'course',
+  tags: 'tags',
+  image: 'imageUrl',
+};
+const TEXT_SECTIONS = {
+  ingredients: 'ingredients',
+  steps: 'steps',
+  instructions: 'steps',
+  method: 'steps',
+  directions: 'steps',
+  preparation: 'steps',
+};
+// "1. Mix", "- Mix", "Step 1: Mix"
+const TEXT_LIST_ITEM_RE = /^(?:\d+[.)]|[-*•]|step\s+\d+\s*[.:)-]?)\s+(.*)$/i;
+
+function capitalize(text) {
+  return text ? text[0].toUpperCase() + text.slice(1) : '';
+}
+
+/**
+ * @param {Object} recipe
+ * @returns {string} The recipe as written, at its own servings
+ */
+function recipeToText(recipe) {
+  const meta = [
+    ['Prep time', `${recipe.prepTime || 0} min`],
+    ['Cook time', `${recipe.cookTime || 0} min`],
+    ['Servings', recipe.servings],
+    ['Difficulty', capitalize(recipe.difficulty)],
+    ['Type', recipe.type === 'non-veg' ? 'Non-veg' : 'Veg'],
+    ['Cuisine', recipe.cuisine && getFacetLabel(`cuisine:${recipe.cuisine}`)],
+    ['Course', recipe.course && getFacetLabel(`course:${recipe.course}`)],
+    // Tags may contain spaces ("street food")
+    ['Tags', (recipe.tags || []).join(', ')],
+    ['Image', recipe.imageUrl],
+  ].filter(([, value]) => value);
+
+  const lines = [`# ${recipe.title}`, ''];
+  if (recipe.description) {
+    lines.push(
+      ...recipe.description.split('\n').map((line) => escapeTextLine(line)),
+      ''
+    );
+  }
+  lines.push(...meta.map(([label, value]) => `- ${label}: ${value}`), '');
+  lines.push('## Ingredients', '');
+  recipe.ingredients.forEach((ing) =>
+    lines.push(`- ${formatIngredient(ing, { exact: true })}`)
+  );
+  lines.push('', '## Steps', '');
+  recipe.steps.forEach((step, i) => {
+    const [first, ...rest] = step.split('\n');
+    // Lines after the first are indented so they stay part of the step
+    const more = rest.map((line) => `   ${escapeTextLine(line, true)}`);
+    lines.push(`${i + 1}. ${first}`, ...more);
+  });
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Key of a taxonomy entry given its label or key ("Indian", "indian")
+ * @returns {string} '' when nothing matches
+ */
+function findTaxonomyKey(options, value) {
+  const wanted = value.trim().toLowerCase();
+  return (
+    Object.keys(options).find(
+      (key) => key === wanted || options[key].toLowerCase() === wanted
+    ) || ''
+  );
+}
+
+/**
+ * @param {string} value - e.g. "20 min", "1 hour 15 minutes" or "45"
+ * @returns {number} Minutes
+ */
+function parseMinutes(value) {
+  const durations = detectDurations(value);
+  if (durations.length === 0) return parseInt(value) || 0;
+  return Math.round(durations.reduce((sum, d) => sum + d.seconds, 0) / 60);
+}
+
+function applyTextField(recipe, field, value) {
+  switch (field) {
+    case 'prepTime':
+    case 'cookTime':
+      recipe[field] = parseMinutes(value);
+      break;
+    case 'servings':
+      recipe.servings = parseInt(value) || 0;
+      break;
+    case 'difficulty':
+      recipe.difficulty = value.toLowerCase();
+      break;
+    case 'type':
+      recipe.type = /non/i.test(value) ? 'non-veg' : 'veg';
+      break;
+    case 'cuisine':
+      recipe.cuisine = findTaxonomyKey(CUISINES, value);
+      break;
+    case 'course':
+      recipe.course = findTaxonomyKey(COURSES, value);
+      break;
+    case 'tags':
+      recipe.tags = normalizeTags(
+        value.split(',').map((tag) => tag.trim().replace(/^#/, ''))
+      );
+      break;
+    default:
+      recipe[field] = value;
+  }
+}
+
+/**
+ * Section a heading line opens: "## Steps", "Ingredients:", "**Method**"
+ * or "Method/Steps:"
+ * @param {string} line
+ * @returns {string} 'ingredients' or 'steps', '' for any other line
+ */
+function textSectionOf(line) {
+  const words = line
+    .trim()
+    .replace(/^#+\s*/, '')
+    .replace(/[*_]/g, '')
+    .replace(/:$/, '')
+    .toLowerCase()
+    .split(/\s*\/\s*/);
+  const word = words.find((w) => Object.hasOwn(TEXT_SECTIONS, w));
+  return word ? TEXT_SECTIONS[word] : '';
+}
+
+/**
+ * @param {string} text - e.g. "- Prep: 10 min"
+ * @returns {Array|null} [field, value], or null when not a metadata line
+ */
+function textFieldOf(text) {
+  const meta = text.match(/^(?:[-*]\s+)?([a-z ]+):\s*(.*)$/i);
+  const key = meta && meta[1].trim().toLowerCase();
+  return key && Object.hasOwn(TEXT_FIELDS, key)
+    ? [TEXT_FIELDS[key], meta[2].trim()]
+    : null;
+}
+
+/**
+ * @param {string} line - From the intro, e.g. "Prep: 10 min | Cook: 20 min"
+ * @returns {Array|null} [field, value] pairs, or null when the line is
+ *   not metadata
+ */
+function textFieldsOf(line) {
+  const fields = line.split(/\s+[|·]\s+/).map(textFieldOf);
+  return fields.every((field) => field) ? fields : null;
+}
+
+/**
+ * Escape a line of free text that parseRecipeText would otherwise read as
+ * metadata, a heading or a new step
+ * @param {string} line
+ * @param {boolean} [inStep] - A step line after the first
+ * @returns {string}
+ */
+function escapeTextLine(line, inStep = false) {
+  const text = line.trim();
+  const misread =
+    text.startsWith('\\') ||
+    textSectionOf(text) ||
+    (inStep ? TEXT_LIST_ITEM_RE.test(text) : textFieldsOf(text));
+  return misread ? `\\${text}` : line;
+}
+
+/**
+ * Read a recipe written by recipeToText, or typed in the same shape
+ * @param {string} text
+ * @returns {Object} Recipe data for the form
+ * @throws {Error} When there is no title, or no ingredients and steps
+ */
+function parseRecipeText(text) {
+  const recipe = { title: '', ingredients: [], steps: [] };
+  const description = [];
+  let section = 'intro';
+
+  text.split(/\r?\n/).forEach((raw) => {
+    const line = raw.trim();
+    if (!recipe.title) {
+      recipe.title = line.replace(/^#+\s*/, '');
+      return;
+    }
+    const heading = textSectionOf(line);
+    if (heading) {
+      section = heading;
+      return;
+    }
+
+    if (section === 'intro') {
+      // Several fields may share a line: "Prep: 10 min | Cook: 20 min"
+      const fields = !line.startsWith('\\') && textFieldsOf(line);
+      if (fields) {
+        fields.forEach(([field, value]) =>
+          applyTextField(recipe, field, value)
+        );
+      } else {
+        description.push(line.replace(/^\\/, ''));
+      }
+    } else if (section === 'ingredients') {
+      // "- 2 cups flour", "1. 2 cups flour" or a checklist item "- [ ] ..."
+      const item = line.replace(
+        /^(?:[-*•]\s*|\d+[.)]\s+)?(?:\[[ x]\]\s*)?/i,
+        ''
+      );
+      if (item) recipe.ingredients.push(parseIngredient(item));
+    } else if (line) {
+      const step = line.match(TEXT_LIST_ITEM_RE);
+      if (step || recipe.steps.length === 0) {
+        recipe.steps.push(step ? step[1] : line);
+      } else {
+        recipe.steps[recipe.steps.length - 1] += `\n${line.replace(/^\\/, '')}`;
+      }
+    }
+  });
+
+  if (!recipe.title) throw new Error('The text is empty.');
+  if (recipe.ingredients.length === 0 && recipe.steps.length === 0) {
+    throw new Error(
+      'No ingredients or steps found. Put them under "Ingredients" and "Steps" headings.'
+    );
+  }
+  recipe.description = description.join('\n').trim();
+  return recipe;
+}
+
+function recipeFileName(recipe, extension) {
+  const slug = SearchIndex.normalize(recipe.title)
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-|-$/g, '');
+  return `${slug || 'recipe'}.${extension}`;
+}
+
+function copyRecipeMarkdown() {
+  return copyText(recipeToText(detailServings.recipe), {
+    title: 'Copy recipe',
+    done: 'Recipe copied as Markdown.',
+  });
+}
+
+function downloadRecipeText() {
+  const { recipe } = detailServings;
+  downloadFile(recipeFileName(recipe, 'txt'), recipeToText(recipe));
+}
+
+function toggleTextImport() {
+  const panel = document.getElementById('textImportPanel');
+  panel.hidden = !panel.hidden;
+}
+
+function applyTextImport(text) {
+  const status = document.getElementById('htmlImportStatus');
+  try {
+    const recipe = parseRecipeText(text);
+    fillRecipeForm(recipe);
+    document.getElementById('textImportPanel').hidden = true;
+    status.textContent = `Imported "${recipe.title}". Review the fields and save.`;
+    status.classList.remove('error-message');
+  } catch (e) {
+    status.textContent = e.message;
+    status.classList.add('error-message');
+  }
+}
+
+function handleTextImportText() {
+  applyTextImport(document.getElementById('textImportSource').value);
+}
+
+async function handleTextImportFile(input) {
+  const file = input.files[0];
+  input.value = '';
+  if (file) applyTextImport(await file.text());
+}
+
+// ========== BULK TEXT IMPORT ==========
+// Several recipes at once from notes: previewed and checked before saving
+const BULK_PREVIEW_DELAY = 300;
+const bulkImport = {
+  rows: [], // { title, recipe, errors, conflict }
+  unchecked: new Set(), // lowercase titles left out by hand
+};
+
+/**
+ * Split a document holding several recipes. A new recipe starts at a `---`
+ * rule, at a `# Title` heading, or at a line that is not a list item after
+ * a blank line in the previous recipe's steps, as long as another
+ * "Ingredients" heading follows.
+ * @param {string} text
+ * @returns {string[]} The text of each recipe
+ */
+function splitRecipeTexts(text) {
+  const lines = text.split(/\r?\n/);
+  const lastIngredients = lines.map(textSectionOf).lastIndexOf('ingredients');
+  const chunks = [];
+  let current = [];
+  let section = 'intro';
+  let afterBlank = false;
+
+  const finish = () => {
+    if (current.some((line) => line.trim())) chunks.push(current.join('\n'));
+    current = [];
+    section = 'intro';
+  };
+
+  lines.forEach((raw, i) => {
+    const line = raw.trim();
+    if (/^(?:-{3,}|\*{3,}|_{3,})$/.test(line)) {
+      finish();
+      return;
+    }
+    const heading = textSectionOf(line);
+    const started = current.some((l) => l.trim());
+    const nextTitle =
+      /^#\s/.test(line) ||
+      (section === 'steps' &&
+        afterBlank &&
+        !TEXT_LIST_ITEM_RE.test(line) &&
+        i < lastIngredients);
+    if (started && line && !heading && nextTitle) finish();
+    if (heading) section = heading;
+    afterBlank = !line;
+    current.push(raw);
+  });
+  finish();
+  return chunks;
+}
 
-  const ingContainer = document.getElementById('ingredientsContainer');
-  ingContainer.innerHTML = '';
-  (recipe.ingredients || []).forEach((ing) => addIngredient(ing));
-  if (!recipe.ingredients || recipe.ingredients.length === 0) addIngredient();
+/**
+ * Fill in what notes usually leave out, the way the form would
+ * @param {Object} parsed - From parseRecipeText
+ * @param {{difficulty: string, type: string}} defaults - For recipes that
+ *   do not say
+ * @returns {Object} Recipe data ready for validateRecipe
+ */
+function completeTextRecipe(parsed, defaults) {
+  return migrateRecipe({
+    prepTime: 0,
+    cookTime: 0,
+    imageUrl: '',
+    ...parsed,
+    difficulty: parsed.difficulty || defaults.difficulty,
+    type: parsed.type || defaults.type,
+  });
+}
 
-  const stepsContainer = document.getElementById('stepsContainer');
-  stepsContainer.innerHTML = '';
-  (recipe.steps || []).forEach((step) => addStep(step));
-  if (!recipe.steps || recipe.steps.length === 0) addStep();
+function showBulkImportPage() {
+  showPage('bulkImportPage');
+  updateBulkPreview();
+}
 
-  document.getElementById('recipeForm').dataset.recipeId = id;
+/**
+ * Parse the pasted text again and redraw the preview
+ */
+async function updateBulkPreview() {
+  const text = document.getElementById('bulkImportSource').value;
+  const defaults = {
+    difficulty: document.getElementById('bulkDifficulty').value,
+    type: document.getElementById('bulkType').value,
+  };
+  const existing = await Recipes.getAll();
+
+  bulkImport.rows = splitRecipeTexts(text).map((chunk) => {
+    let recipe;
+    try {
+      recipe = completeTextRecipe(parseRecipeText(chunk), defaults);
+    } catch (e) {
+      const title = chunk
+        .trim()
+        .split('\n')[0]
+        .replace(/^#+\s*/, '');
+      return { title, recipe: null, errors: [e.message], conflict: null };
+    }
+    return {
+      title: recipe.title,
+      recipe,
+      errors: Object.values(validateRecipe(recipe)),
+      conflict: findImportConflict(recipe, existing),
+    };
+  });
+  renderBulkPreview();
 }
 
-function addIngredient(value = '') {
-  const container = document.getElementById('ingredientsContainer');
-  if (!container) return;
-  const div = document.createElement('div');
-  div.className = 'ingredient-item';
-  div.innerHTML = `
-    <input type="text" class="ingredient-input" placeholder="e.g., 2 cups flour" value="${escapeHtml(
-      value
-    )}">
-    <button type="button" class="btn-remove" onclick="removeIngredient(this)">×</button>
+const scheduleBulkPreview = debounce(updateBulkPreview, BULK_PREVIEW_DELAY);
+
+function isBulkRowSelected(row) {
+  return (
+    row.errors.length === 0 &&
+    !bulkImport.unchecked.has(row.title.toLowerCase())
+  );
+}
+
+function renderBulkPreview() {
+  const { rows } = bulkImport;
+  const valid = rows.filter((row) => row.errors.length === 0).length;
+  const selected = rows.filter(isBulkRowSelected).length;
+
+  document.getElementById('bulkImportSummary').textContent = rows.length
+    ? `${rows.length} recipe${rows.length === 1 ? '' : 's'} found · ${valid} ready · ${
+        rows.length - valid
+      } with errors`
+    : '';
+  const button = document.getElementById('bulkImportBtn');
+  button.disabled = selected === 0;
+  button.textContent = `Import ${selected} recipe${selected === 1 ? '' : 's'}`;
+
+  const preview = document.getElementById('bulkImportPreview');
+  if (rows.length === 0) {
+    preview.innerHTML = '';
+    return;
+  }
+  preview.innerHTML = `
+    <table class="bulk-preview">
+      <thead>
+        <tr>
+          <th></th>
+          <th>Title</th>
+          <th>Ingredients</th>
+          <th>Steps</th>
+          <th>Prep / Cook</th>
+          <th>Status</th>
+        </tr>
+      </thead>
+      <tbody>${rows.map(createBulkRow).join('')}</tbody>
+    </table>
   `;
-  container.appendChild(div);
 }
 
-function removeIngredient(btn) {
-  const container = document.getElementById('ingredientsContainer');
-  if (container && container.children.length > 1) {
-    btn.parentElement.remove();
+function createBulkRow(row, index) {
+  const { recipe, errors, conflict } = row;
+  let status;
+  if (errors.length) {
+    status = `<ul class="bulk-errors">${errors
+      .map((error) => `<li>${escapeHtml(error)}</li>`)
+      .join('')}</ul>`;
+  } else if (conflict) {
+    status = `Ready · same as <a href="#/recipe/${
+      conflict.id
+    }">${escapeHtml(conflict.title)}</a>, you will be asked`;
   } else {
-    alert('At least one ingredient required');
+    status = 'Ready';
   }
+  return `
+    <tr class="${errors.length ? 'bulk-invalid' : ''}">
+      <td>
+        <input type="checkbox" aria-label="Import ${escapeHtml(row.title)}"
+          ${isBulkRowSelected(row) ? 'checked' : ''}
+          ${errors.length ? 'disabled' : ''}
+          onchange="toggleBulkRow(${index}, this.checked)">
+      </td>
+      <td>${escapeHtml(row.title || '(untitled)')}</td>
+      <td>${recipe ? recipe.ingredients.length : '–'}</td>
+      <td>${recipe ? recipe.steps.length : '–'}</td>
+      <td>${recipe ? `${recipe.prepTime} / ${recipe.cookTime} min` : '–'}</td>
+      <td>${status}</td>
+    </tr>
+  `;
 }
 
-function addStep(value = '') {
-  const container = document.getElementById('stepsContainer');
-  if (!container) return;
-  const div = document.createElement('div');
-  div.className = 'step-item';
-  div.innerHTML = `
-    <textarea class="step-input" rows="2" placeholder="Enter step">${escapeHtml(
-      value
-    )}</textarea>
-    <button type="button" class="btn-remove" onclick="removeStep(this)">×</button>
+function toggleBulkRow(index, checked) {
+  const title = bulkImport.rows[index].title.toLowerCase();
+  if (checked) bulkImport.unchecked.delete(title);
+  else bulkImport.unchecked.add(title);
+  renderBulkPreview();
+}
+
+async function handleBulkImportFiles(input) {
+  const files = Array.from(input.files);
+  input.value = '';
+  if (files.length === 0) return;
+  const texts = await Promise.all(files.map((file) => file.text()));
+  const source = document.getElementById('bulkImportSource');
+  // Each file holds its own recipes
+  source.value = [source.value, ...texts]
+    .filter((text) => text.trim())
+    .join('\n\n---\n\n');
+  updateBulkPreview();
+}
+
+async function importBulkRecipes() {
+  const recipes = bulkImport.rows
+    .filter(isBulkRowSelected)
+    .map((row) => row.recipe);
+  if (recipes.length === 0) return;
+  const report = await importRecipes(recipes);
+  await showImportReport(report);
+  document.getElementById('bulkImportSource').value = '';
+  bulkImport.rows = [];
+  bulkImport.unchecked.clear();
+  navigateHome();
+}
+
+// ========== PRINT ==========
+const DEFAULT_PRINT_OPTIONS = { image: true, columns: 1 };
+
+/**
+ * Print the recipe on screen. The layout itself is the print stylesheet;
+ * the chosen options only toggle classes it reads.
+ */
+async function printRecipe() {
+  const saved = Storage.getPreference(
+    Storage.PRINT_OPTIONS_KEY,
+    DEFAULT_PRINT_OPTIONS
+  );
+  const option = (value, label, selected) =>
+    `<option value="${value}" ${selected ? 'selected' : ''}>${label}</option>`;
+  const { value, fields } = await showDialog({
+    title: 'Print recipe',
+    html: `
+      <label class="print-option">Photo
+        <select name="image">
+          ${option('yes', 'Include photo', saved.image)}
+          ${option('no', 'Leave out photo', !saved.image)}
+        </select>
+      </label>
+      <label class="print-option">Layout
+        <select name="columns">
+          ${option('1', 'One column', saved.columns !== 2)}
+          ${option('2', 'Ingredients beside steps', saved.columns === 2)}
+        </select>
+      </label>
+    `,
+    actions: [
+      { label: 'Cancel', value: 'cancel' },
+      { label: 'Print', value: 'print', primary: true },
+    ],
+    cancelValue: 'cancel',
+  });
+  if (value !== 'print') return;
+
+  const options = {
+    image: fields.image === 'yes',
+    columns: fields.columns === '2' ? 2 : 1,
+  };
+  Storage.savePreference(Storage.PRINT_OPTIONS_KEY, options);
+  applyPrintOptions(options);
+  window.print();
+}
+
+function applyPrintOptions({ image, columns }) {
+  document.body.classList.toggle('print-no-image', !image);
+  document.body.classList.toggle('print-two-columns', columns === 2);
+}
+
+// ========== IMPORT / EXPORT ==========
+const EXPORT_FORMAT = 'recipe-manager-library';
+const EXPORT_VERSION = 1;
+
+async function exportLibrary() {
+  const recipes = await Recipes.getAll();
+  // Uploaded photos travel inside the file as data: URLs
+  const images = {};
+  for (const { imageId } of recipes) {
+    const dataUrl = imageId && (await Storage.getImageDataUrl(imageId));
+    if (dataUrl) images[imageId] = dataUrl;
+  }
+  const library = {
+    format: EXPORT_FORMAT,
+    version: EXPORT_VERSION,
+    exportedAt: new Date().toISOString(),
+    recipes,
+    images,
+  };
+  const date = new Date().toISOString().slice(0, 10);
+  downloadFile(
+    `recipes-${date}.json`,
+    JSON.stringify(library, null, 2),
+    'application/json'
+  );
+}
+
+/**
+ * Read recipes out of an exported library file. A bare array of recipes is
+ * accepted too, for files written by hand or by older versions.
+ * @param {string} json - File contents
+ * @returns {{recipes: Array, images: Object}} Raw recipe objects, and
+ *   embedded photos by image id
+ * @throws {Error} When the file is not a recipe library
+ */
+function parseLibrary(json) {
+  let data;
+  try {
+    data = JSON.parse(json);
+  } catch (e) {
+    throw new Error('The file is not valid JSON.');
+  }
+  if (Array.isArray(data)) return { recipes: data, images: {} };
+  if (!data || data.format !== EXPORT_FORMAT || !Array.isArray(data.recipes)) {
+    throw new Error('The file is not a recipe library export.');
+  }
+  if (data.version > EXPORT_VERSION) {
+    throw new Error(
+      `The file was exported by a newer version (v${data.version}) of the app.`
+    );
+  }
+  const images =
+    data.images && typeof data.images === 'object' ? data.images : {};
+  return { recipes: data.recipes, images };
+}
+
+/**
+ * Store an imported recipe's embedded photo under a new id, so a copy never
+ * shares (and later deletes) the photo of a recipe already in the library
+ * @param {Object} recipe
+ * @param {Object} images - Embedded photos by image id
+ * @returns {Promise<Object>} The recipe pointing at the stored photo, or at
+ *   none when the file did not contain it
+ */
+async function importImage(recipe, images) {
+  if (!recipe.imageId) return recipe;
+  const dataUrl = images[recipe.imageId];
+  if (typeof dataUrl !== 'string' || !dataUrl.startsWith('data:image/')) {
+    return { ...recipe, imageId: '' };
+  }
+  const imageId = newImageId();
+  const saved = await Storage.saveImage(imageId, dataUrlToBlob(dataUrl));
+  return { ...recipe, imageId: saved ? imageId : '' };
+}
+
+/**
+ * Remove the photo importImage stored for a recipe that was not saved
+ */
+async function discardImportedImage(recipe) {
+  if (recipe.imageId) await Storage.deleteImage(recipe.imageId);
+}
+
+/**
+ * Existing recipe an imported one would clash with, by id or by title
+ * @returns {Object|null}
+ */
+function findImportConflict(recipe, existing) {
+  const title = recipe.title.trim().toLowerCase();
+  return (
+    existing.find((r) => r.id === recipe.id) ||
+    existing.find((r) => r.title.trim().toLowerCase() === title) ||
+    null
+  );
+}
+
+/**
+ * Title for a "keep both" copy: "Egg Maggi (2)", "Egg Maggi (3)", ...
+ */
+function uniqueTitle(title, existing) {
+  const taken = new Set(existing.map((r) => r.title.trim().toLowerCase()));
+  let n = 2;
+  while (taken.has(`${title} (${n})`.toLowerCase())) n++;
+  return `${title} (${n})`;
+}
+
+function askConflictResolution(recipe, conflict) {
+  const reason =
+    conflict.id === recipe.id ? 'has the same id as' : 'has the same title as';
+  return showDialog({
+    title: 'Recipe already exists',
+    html: `<p>The imported recipe <strong>${escapeHtml(
+      recipe.title
+    )}</strong> ${reason} <strong>${escapeHtml(
+      conflict.title
+    )}</strong> in your library.</p>`,
+    checkboxLabel: 'Do the same for all remaining conflicts',
+    cancelValue: 'skip',
+    actions: [
+      { label: 'Skip', value: 'skip' },
+      { label: 'Overwrite', value: 'overwrite' },
+      { label: 'Keep both', value: 'keep-both', primary: true },
+    ],
+  });
+}
+
+/**
+ * Import raw recipes: validate each one, ask how to resolve conflicts with
+ * the library, then save
+ * @param {Array} rawRecipes
+ * @param {Object} [images] - Embedded photos by image id
+ * @returns {Promise<Object>} Report with added/overwritten/kept/skipped/
+ *   invalid/failed
+ */
+async function importRecipes(rawRecipes, images = {}) {
+  const report = {
+    added: [],
+    overwritten: [],
+    kept: [],
+    skipped: [],
+    invalid: [],
+    failed: [], // could not be saved, e.g. with storage full
+  };
+  let applyToAll = null;
+
+  for (const [index, raw] of rawRecipes.entries()) {
+    if (!raw || typeof raw !== 'object') {
+      report.invalid.push({
+        title: `Entry ${index + 1}`,
+        errors: ['Not a recipe'],
+      });
+      continue;
+    }
+    let recipe;
+    try {
+      recipe = migrateRecipe(raw);
+    } catch (e) {
+      report.invalid.push({ title: `Entry ${index + 1}`, errors: [e.message] });
+      continue;
+    }
+    const errors = validateRecipe(recipe);
+    if (Object.keys(errors).length > 0) {
+      report.invalid.push({
+        title:
+          typeof recipe.title === 'string' && recipe.title.trim()
+            ? recipe.title
+            : `Entry ${index + 1}`,
+        errors: Object.values(errors),
+      });
+      continue;
+    }
+
+    const existing = await Recipes.getAll();
+    const conflict = findImportConflict(recipe, existing);
+    if (!conflict) {
+      const imported = await importImage(recipe, images);
+      const added = await Recipes.add(imported);
+      if (!added) await discardImportedImage(imported);
+      (added ? report.added : report.failed).push(recipe.title);
+      continue;
+    }
+
+    let action = applyToAll;
+    if (!action) {
+      const choice = await askConflictResolution(recipe, conflict);
+      action = choice.value;
+      if (choice.checked) applyToAll = action;
+    }
+
+    if (action === 'overwrite') {
+      const imported = await importImage(recipe, images);
+      const updated = await Recipes.update(conflict.id, {
+        ...imported,
+        id: conflict.id,
+      });
+      // The old photo goes only once nothing points at it any more
+      if (!updated) await discardImportedImage(imported);
+      else if (conflict.imageId) await Storage.deleteImage(conflict.imageId);
+      (updated ? report.overwritten : report.failed).push(recipe.title);
+    } else if (action === 'keep-both') {
+      const { id, ...copy } = await importImage(recipe, images);
+      const title =
+        conflict.title.trim().toLowerCase() ===
+        recipe.title.trim().toLowerCase()
+          ? uniqueTitle(recipe.title, existing)
+          : recipe.title;
+      const added = await Recipes.add({ ...copy, title });
+      if (!added) await discardImportedImage(copy);
+      (added ? report.kept : report.failed).push(title);
+    } else {
+      report.skipped.push(recipe.title);
+    }
+  }
+  return report;
+}
+
+function showImportReport(report) {
+  const section = (label, items) =>
+    items.length
+      ? `<h3>${label} (${items.length})</h3><ul>${items
+          .map((item) => `<li>${item}</li>`)
+          .join('')}</ul>`
+      : '';
+  const list = (titles) => titles.map(escapeHtml);
+
+  const html =
+    section('Added', list(report.added)) +
+    section('Overwritten', list(report.overwritten)) +
+    section('Kept both', list(report.kept)) +
+    section('Skipped', list(report.skipped)) +
+    section('Could not be saved', list(report.failed)) +
+    section(
+      'Invalid',
+      report.invalid.map(
+        (item) =>
+          `${escapeHtml(item.title)}: ${escapeHtml(item.errors.join('; '))}`
+      )
+    );
+
+  return showDialog({
+    title: 'Import finished',
+    html: html || '<p>The file contained no recipes.</p>',
+    cancelValue: 'ok',
+    actions: [{ label: 'OK', value: 'ok', primary: true }],
+  });
+}
+
+async function handleImportFile(input) {
+  const file = input.files[0];
+  input.value = '';
+  if (!file) return;
+
+  try {
+    const { recipes, images } = parseLibrary(await file.text());
+    const report = await importRecipes(recipes, images);
+    await showImportReport(report);
+  } catch (e) {
+    console.error('Error importing recipes:', e);
+    alert(`Import failed: ${e.message}`);
+  }
+  displayRecipes();
+}
+
+// ========== RECOVERY ==========
+// Records quarantined by Recipes.init can be repaired, exported or discarded
+
+function isRepairable(item) {
+  return (
+    !!item.record &&
+    typeof item.record === 'object' &&
+    !Array.isArray(item.record)
+  );
+}
+
+function quarantineLabel(item) {
+  if (!isRepairable(item)) return 'Unreadable data';
+  const title = item.record.title;
+  return typeof title === 'string' && title.trim() ? title : 'Untitled record';
+}
+
+async function updateRecoveryBanner() {
+  const banner = document.getElementById('recoveryBanner');
+  const count = (await Storage.getQuarantine()).length;
+  banner.style.display = count > 0 ? 'flex' : 'none';
+  document.getElementById('recoveryBannerText').textContent = `${count} ${
+    count === 1 ? 'recipe' : 'recipes'
+  } could not be loaded.`;
+}
+
+async function showRecoveryPage() {
+  showPage('recoveryPage');
+  const quarantine = await Storage.getQuarantine();
+  const list = document.getElementById('recoveryList');
+  document.getElementById('recoveryExportAll').disabled =
+    quarantine.length === 0;
+
+  if (quarantine.length === 0) {
+    list.innerHTML =
+      '<p class="recovery-empty">Nothing to recover. Every stored recipe loaded correctly.</p>';
+    return;
+  }
+  list.innerHTML = quarantine.map(createRecoveryItem).join('');
+}
+
+function createRecoveryItem(item) {
+  const qid = escapeHtml(item.qid);
+  const preview =
+    typeof item.record === 'string'
+      ? item.record
+      : String(JSON.stringify(item.record, null, 2));
+  return `
+    <div class="recovery-item">
+      <div class="recovery-item-header">
+        <h3>${escapeHtml(quarantineLabel(item))}</h3>
+        <span class="recovery-date">${escapeHtml(
+          new Date(item.quarantinedAt).toLocaleString()
+        )}</span>
+      </div>
+      <ul class="recovery-errors">
+        ${item.errors.map((error) => `<li>${escapeHtml(error)}</li>`).join('')}
+      </ul>
+      <details>
+        <summary>Stored data</summary>
+        <pre class="recovery-preview">${escapeHtml(preview)}</pre>
+      </details>
+      <div class="recovery-actions">
+        ${
+          isRepairable(item)
+            ? `<a href="#/recovery/${qid}/repair" class="btn-small">Repair</a>`
+            : ''
+        }
+        <button type="button" class="btn-small" onclick="exportQuarantined('${qid}')">Export</button>
+        <button type="button" class="btn-small" onclick="discardQuarantined('${qid}')">Discard</button>
+      </div>
+    </div>
   `;
-  container.appendChild(div);
 }
 
-function removeStep(btn) {
-  const container = document.getElementById('stepsContainer');
-  if (container && container.children.length > 1) {
-    btn.parentElement.remove();
+async function exportQuarantined(qid) {
+  const item = (await Storage.getQuarantine()).find((i) => i.qid === qid);
+  if (!item) return;
+  if (isRepairable(item)) {
+    downloadFile(
+      `recipe-recovery-${qid}.json`,
+      JSON.stringify(item.record, null, 2),
+      'application/json'
+    );
   } else {
-    alert('At least one step required');
+    downloadFile(
+      `recipe-recovery-${qid}.txt`,
+      String(item.record),
+      'text/plain'
+    );
+  }
+}
+
+async function exportQuarantine() {
+  const date = new Date().toISOString().slice(0, 10);
+  downloadFile(
+    `recipe-recovery-${date}.json`,
+    JSON.stringify(await Storage.getQuarantine(), null, 2),
+    'application/json'
+  );
+}
+
+async function discardQuarantined(qid) {
+  if (
+    !confirm('Discard this record permanently? Export it first to keep a copy.')
+  )
+    return;
+  await Storage.removeFromQuarantine(qid);
+  showRecoveryPage();
+}
+
+/**
+ * Form values for a quarantined record; anything of the wrong type is
+ * left blank for the user to fill in
+ */
+function repairDraft(record) {
+  const text = (value) => (typeof value === 'string' ? value : '');
+  const count = (value) => (Number.isInteger(value) && value >= 0 ? value : 0);
+  return {
+    title: text(record.title),
+    description: text(record.description),
+    prepTime: count(record.prepTime),
+    cookTime: count(record.cookTime),
+    servings: count(record.servings),
+    difficulty: text(record.difficulty),
+    type: text(record.type),
+    cuisine: CUISINES[record.cuisine] ? record.cuisine : '',
+    course: COURSES[record.course] ? record.course : '',
+    tags: Array.isArray(record.tags)
+      ? normalizeTags(record.tags.filter((tag) => typeof tag === 'string'))
+      : [],
+    imageUrl: text(record.imageUrl),
+    imageId: text(record.imageId),
+    ingredients: Array.isArray(record.ingredients)
+      ? record.ingredients.map(toIngredient)
+      : [],
+    steps: Array.isArray(record.steps)
+      ? record.steps.filter((step) => typeof step === 'string')
+      : [],
+  };
+}
+
+async function showRepairPage(qid) {
+  const item = (await Storage.getQuarantine()).find((i) => i.qid === qid);
+  if (!item || !isRepairable(item)) {
+    showNotFound('That quarantined record no longer exists.');
+    return;
+  }
+  await showAddEditPage(null, { draft: false });
+  document.getElementById('formTitle').textContent = 'Repair Recipe';
+  document.getElementById('htmlImport').style.display = 'none';
+  document.getElementById('formBackLink').setAttribute('href', '#/recovery');
+  document.getElementById('formCancelLink').setAttribute('href', '#/recovery');
+
+  fillRecipeForm(repairDraft(item.record));
+  document.getElementById('recipeForm').dataset.quarantineId = qid;
+  trackForm(null);
+  // Point straight at what made the record invalid
+  validateForm();
+}
+
+/**
+ * Save a repaired record under its original id when that is still free,
+ * then release it from quarantine
+ * @returns {Promise<Object|null>} The saved recipe
+ */
+async function repairQuarantined(qid, data) {
+  const item = (await Storage.getQuarantine()).find((i) => i.qid === qid);
+  if (!item) return null;
+  const recipe = await Recipes.add({ ...data, id: item.record.id });
+  if (recipe) await Storage.removeFromQuarantine(qid);
+  return recipe;
+}
+
+// ========== TRASH ==========
+// Choices for how long deleted recipes are kept; 0 keeps them until emptied
+const TRASH_RETENTION_DAYS = [7, 14, 30, 60, 90, 0];
+const DEFAULT_TRASH_DAYS = 30;
+
+function getTrashDays() {
+  const days = Storage.getPreference(
+    Storage.TRASH_DAYS_KEY,
+    DEFAULT_TRASH_DAYS
+  );
+  return TRASH_RETENTION_DAYS.includes(days) ? days : DEFAULT_TRASH_DAYS;
+}
+
+async function updateTrashLink() {
+  const count = (await Storage.getTrash()).length;
+  document.getElementById('trashLink').textContent = count
+    ? `🗑 Trash (${count})`
+    : '🗑 Trash';
+}
+
+async function showTrashPage() {
+  showPage('trashPage');
+  const select = document.getElementById('trashDaysSelect');
+  select.innerHTML = TRASH_RETENTION_DAYS.map(
+    (days) =>
+      `<option value="${days}">${days ? `${days} days` : 'Never'}</option>`
+  ).join('');
+  select.value = getTrashDays();
+  await renderTrash();
+}
+
+async function renderTrash() {
+  const trash = (await Storage.getTrash()).sort((a, b) =>
+    b.deletedAt.localeCompare(a.deletedAt)
+  );
+  const list = document.getElementById('trashList');
+  document.getElementById('emptyTrashBtn').disabled = trash.length === 0;
+  list.innerHTML =
+    trash.length === 0
+      ? '<p class="trash-empty">The trash is empty.</p>'
+      : trash.map(createTrashItem).join('');
+}
+
+function createTrashItem({ recipe, deletedAt }) {
+  const days = getTrashDays();
+  let expiry = '';
+  if (days) {
+    const left = Math.max(
+      1,
+      Math.ceil((Date.parse(deletedAt) + days * DAY_MS - Date.now()) / DAY_MS)
+    );
+    expiry = ` · deleted for good in ${left} day${left === 1 ? '' : 's'}`;
+  }
+  return `
+    <div class="trash-item">
+      <div>
+        <h3>${escapeHtml(recipe.title)}</h3>
+        <span class="trash-date">Deleted ${escapeHtml(
+          new Date(deletedAt).toLocaleString()
+        )}${expiry}</span>
+      </div>
+      <div class="trash-actions">
+        <button type="button" class="btn-small" onclick="restoreRecipe(${
+          recipe.id
+        })">Restore</button>
+        <button type="button" class="btn-small" onclick="purgeRecipe(${
+          recipe.id
+        })">Delete forever</button>
+      </div>
+    </div>
+  `;
+}
+
+async function restoreRecipe(id) {
+  const recipe = await Recipes.restore(id);
+  if (!recipe) {
+    alert('The recipe could not be restored.');
+    return;
+  }
+  Router.navigate(`/recipe/${recipe.id}`);
+}
+
+async function purgeRecipe(id) {
+  if (!confirm('Delete this recipe for good? This cannot be undone.')) return;
+  await Recipes.purge([id]);
+  renderTrash();
+}
+
+async function emptyTrash() {
+  const trash = await Storage.getTrash();
+  if (
+    !confirm(
+      `Delete ${trash.length} recipe${
+        trash.length === 1 ? '' : 's'
+      } for good? This cannot be undone.`
+    )
+  ) {
+    return;
+  }
+  await Recipes.purge(trash.map((item) => item.recipe.id));
+  renderTrash();
+}
+
+async function changeTrashDays(value) {
+  const days = parseInt(value);
+  Storage.savePreference(Storage.TRASH_DAYS_KEY, days);
+  await Recipes.purgeExpired(days);
+  renderTrash();
+}
+
+// ========== HISTORY ==========
+const REVISION_FIELD_LABELS = {
+  title: 'Title',
+  description: 'Description',
+  prepTime: 'Prep time',
+  cookTime: 'Cook time',
+  servings: 'Servings',
+  difficulty: 'Difficulty',
+  type: 'Type',
+  cuisine: 'Cuisine',
+  course: 'Course',
+  tags: 'Tags',
+  imageUrl: 'Image URL',
+  ingredients: 'Ingredients',
+  steps: 'Steps',
+};
+
+/**
+ * A field as shown in a diff: a list of lines for ingredients, steps and
+ * tags, a string otherwise
+ * @returns {string|string[]}
+ */
+function revisionFieldValue(recipe, field) {
+  const value = recipe[field];
+  switch (field) {
+    case 'ingredients':
+      return (value || []).map(formatIngredient);
+    case 'steps':
+      return value || [];
+    case 'tags':
+      return (value || []).map((tag) => `#${tag}`);
+    case 'prepTime':
+    case 'cookTime':
+      return `${value || 0} min`;
+    case 'cuisine':
+    case 'course':
+      return value ? getFacetLabel(`${field}:${value}`) : '';
+    default:
+      return value === undefined || value === null ? '' : String(value);
+  }
+}
+
+/**
+ * Line diff through the longest common subsequence
+ * @param {string[]} before
+ * @param {string[]} after
+ * @returns {Array<{type: 'same'|'added'|'removed', text: string}>}
+ */
+function diffLines(before, after) {
+  // common[i][j]: length of the LCS of before[i..] and after[j..]
+  const common = Array.from({ length: before.length + 1 }, () =>
+    new Array(after.length + 1).fill(0)
+  );
+  for (let i = before.length - 1; i >= 0; i--) {
+    for (let j = after.length - 1; j >= 0; j--) {
+      common[i][j] =
+        before[i] === after[j]
+          ? common[i + 1][j + 1] + 1
+          : Math.max(common[i + 1][j], common[i][j + 1]);
+    }
+  }
+
+  const lines = [];
+  let i = 0;
+  let j = 0;
+  while (i < before.length || j < after.length) {
+    if (i < before.length && j < after.length && before[i] === after[j]) {
+      lines.push({ type: 'same', text: before[i] });
+      i++;
+      j++;
+    } else if (
+      j === after.length ||
+      (i < before.length && common[i + 1][j] >= common[i][j + 1])
+    ) {
+      lines.push({ type: 'removed', text: before[i++] });
+    } else {
+      lines.push({ type: 'added', text: after[j++] });
+    }
+  }
+  return lines;
+}
+
+/**
+ * Fields that differ between two versions of a recipe
+ * @returns {Array<{field: string, before: string, after: string}|
+ *   {field: string, lines: Array}>} List fields come with a line diff
+ */
+function diffRecipes(before, after) {
+  return RECIPE_FIELDS.flatMap((field) => {
+    const a = revisionFieldValue(before, field);
+    const b = revisionFieldValue(after, field);
+    if (Array.isArray(a)) {
+      if (a.length === b.length && a.every((line, i) => line === b[i])) {
+        return [];
+      }
+      return [{ field, lines: diffLines(a, b) }];
+    }
+    return a === b ? [] : [{ field, before: a, after: b }];
+  });
+}
+
+function revisionLabel(revision) {
+  return revision.savedAt
+    ? `Revision ${revision.id} · ${new Date(revision.savedAt).toLocaleString()}`
+    : `Revision ${revision.id} · before history was kept`;
+}
+
+// Page state, so the compare selects can re-render without reloading
+const historyState = { recipeId: null, revisions: [] };
+
+/**
+ * @param {number} id - Recipe id
+ * @param {number|null} from - Revision ids to compare; by default the
+ *   latest revision against the one before it
+ * @param {number|null} to
+ */
+async function showHistoryPage(id, from = null, to = null) {
+  const recipe = await Recipes.getById(id);
+  if (!recipe) {
+    showNotFound(`No recipe with id ${id} exists.`);
+    return;
   }
+  showPage('historyPage');
+  historyState.recipeId = id;
+  historyState.revisions = await Revisions.list(id);
+  document.getElementById('historyBack').setAttribute('href', `#/recipe/${id}`);
+  document.getElementById('historyTitle').textContent = `History: ${
+    recipe.title
+  }`;
+  renderHistory(from, to);
 }
 
-function getFormData() {
-  const ingredients = Array.from(document.querySelectorAll('.ingredient-input'))
-    .map((inp) => inp.value.trim())
-    .filter((v) => v);
+function renderHistory(from, to) {
+  const { revisions } = historyState;
+  const content = document.getElementById('historyContent');
+  if (revisions.length < 2) {
+    content.innerHTML =
+      '<p class="history-empty">No edits have been saved yet. Each time the recipe is saved, a revision is added here.</p>';
+    return;
+  }
 
-  const steps = Array.from(document.querySelectorAll('.step-input'))
-    .map((ta) => ta.value.trim())
-    .filter((v) => v);
+  const ids = revisions.map((r) => r.id);
+  const toId = ids.includes(to) ? to : ids[ids.length - 1];
+  const fromId = ids.includes(from)
+    ? from
+    : ids[Math.max(0, ids.indexOf(toId) - 1)];
+  const options = (selected) =>
+    revisions
+      .map(
+        (r) =>
+          `<option value="${r.id}" ${
+            r.id === selected ? 'selected' : ''
+          }>${escapeHtml(revisionLabel(r))}</option>`
+      )
+      .join('');
 
-  return {
-    title: document.getElementById('title').value.trim(),
-    description: document.getElementById('description').value.trim(),
-    prepTime: parseInt(document.getElementById('prepTime').value) || 0,
-    cookTime: parseInt(document.getElementById('cookTime').value) || 0,
-    difficulty: document.getElementById('difficulty').value,
-    type: document.getElementById('type')
-      ? document.getElementById('type').value
-      : '',
-    imageUrl: document.getElementById('imageUrl').value.trim(),
-    ingredients,
-    steps,
-  };
+  content.innerHTML = `
+    <div class="history-compare">
+      <label>Compare
+        <select id="historyFrom" onchange="changeHistoryCompare()">${options(
+          fromId
+        )}</select>
+      </label>
+      <label>with
+        <select id="historyTo" onchange="changeHistoryCompare()">${options(
+          toId
+        )}</select>
+      </label>
+    </div>
+    <div class="history-diff">${createRecipeDiff(
+      revisions.find((r) => r.id === fromId).recipe,
+      revisions.find((r) => r.id === toId).recipe
+    )}</div>
+    <h2>Revisions</h2>
+    <ul class="history-list">
+      ${revisions
+        .slice()
+        .reverse()
+        .map((r, i) => createRevisionItem(r, i === 0))
+        .join('')}
+    </ul>
+  `;
 }
 
-function validateForm() {
-  const data = getFormData();
-  let valid = true;
+function createRecipeDiff(before, after) {
+  const changes = diffRecipes(before, after);
+  if (changes.length === 0) {
+    return '<p class="history-empty">These revisions are identical.</p>';
+  }
+  return changes
+    .map((change) => {
+      const label = escapeHtml(REVISION_FIELD_LABELS[change.field]);
+      if (change.lines) {
+        return `
+          <div class="diff-field">
+            <h3>${label}</h3>
+            <ul class="diff-lines">${change.lines
+              .map(
+                (line) =>
+                  `<li class="diff-${line.type}">${escapeHtml(line.text)}</li>`
+              )
+              .join('')}</ul>
+          </div>
+        `;
+      }
+      return `
+        <div class="diff-field">
+          <h3>${label}</h3>
+          <div class="diff-removed">${escapeHtml(change.before) || '—'}</div>
+          <div class="diff-added">${escapeHtml(change.after) || '—'}</div>
+        </div>
+      `;
+    })
+    .join('');
+}
 
-  if (!data.title || data.title.length < 3) {
-    showFieldError('title', 'Title must be 3+ chars');
-    valid = false;
-  } else clearFieldError('title');
+function createRevisionItem(revision, isCurrent) {
+  return `
+    <li class="history-item">
+      <span>${escapeHtml(revisionLabel(revision))}</span>
+      ${
+        isCurrent
+          ? '<span class="history-current">Current version</span>'
+          : `<button type="button" class="btn-small" onclick="revertRevision(${revision.id})">Revert to this</button>`
+      }
+    </li>
+  `;
+}
 
-  if (!data.description || data.description.length < 10) {
-    showFieldError('description', 'Description must be 10+ chars');
-    valid = false;
-  } else clearFieldError('description');
+function changeHistoryCompare() {
+  const from = parseInt(document.getElementById('historyFrom').value);
+  const to = parseInt(document.getElementById('historyTo').value);
+  Router.updateQuery(`/recipe/${historyState.recipeId}/history`, { from, to });
+  renderHistory(from, to);
+}
 
-  if (
-    !data.difficulty ||
-    !['easy', 'medium', 'hard'].includes(data.difficulty)
-  ) {
-    showFieldError('difficulty', 'Select difficulty');
-    valid = false;
-  } else clearFieldError('difficulty');
+async function revertRevision(revisionId) {
+  const { recipeId } = historyState;
+  if (!confirm(`Revert to revision ${revisionId}? This adds a new revision.`)) {
+    return;
+  }
+  const recipe = await Recipes.revert(recipeId, revisionId);
+  if (!recipe) {
+    alert('Operation failed');
+    return;
+  }
+  Router.navigate(`/recipe/${recipeId}/history`, null, { replace: true });
+}
 
-  if (!data.type || !['veg', 'non-veg'].includes(data.type)) {
-    showFieldError('type', 'Select type');
-    valid = false;
-  } else clearFieldError('type');
+// ========== ROUTER ==========
+/**
+ * Hash-based router. Routes look like `#/recipe/:id`; an optional query
+ * string after the path (`#/?q=pasta`) carries page state such as filters.
+ */
+const Router = {
+  routes: [],
+  current: '', // hash of the route shown
+  guard: null, // returns false to stay on the current route
+  index: 0, // position of the current history entry, kept in its state
+  restoring: false, // the next hashchange undoes a refused one
 
-  if (data.imageUrl && !isValidUrl(data.imageUrl)) {
-    showFieldError('imageUrl', 'Invalid URL');
-    valid = false;
-  } else clearFieldError('imageUrl');
+  /**
+   * Register a route handler
+   * @param {string} path - Route path, `:name` segments become params
+   * @param {Function} handler - Called with (params, query)
+   */
+  add(path, handler) {
+    const keys = [];
+    const pattern = path.replace(/:(\w+)/g, (_, key) => {
+      keys.push(key);
+      return '([^/]+)';
+    });
+    this.routes.push({ regex: new RegExp(`^${pattern}$`), keys, handler });
+  },
 
-  if (data.ingredients.length === 0) {
-    showFieldError('ingredients', 'Add at least one ingredient');
-    valid = false;
-  } else clearFieldError('ingredients');
+  /**
+   * Split a location hash into path and query
+   * @param {string} hash - e.g. '#/recipe/3?x=1'
+   * @returns {{path: string, query: URLSearchParams}}
+   */
+  parse(hash) {
+    const raw = (hash || '').replace(/^#/, '');
+    const [path, queryString = ''] = raw.split('?');
+    return { path: path || '/', query: new URLSearchParams(queryString) };
+  },
 
-  if (data.steps.length === 0) {
-    showFieldError('steps', 'Add at least one step');
-    valid = false;
-  } else clearFieldError('steps');
+  buildHash(path, query) {
+    const qs = query ? new URLSearchParams(query).toString() : '';
+    return `#${path}${qs ? '?' + qs : ''}`;
+  },
 
-  return valid;
-}
+  /**
+   * Go to a route. With `replace` the current history entry is overwritten,
+   * so Back skips it (used after saving or deleting).
+   */
+  navigate(path, query = null, { replace = false } = {}) {
+    const hash = this.buildHash(path, query);
+    if (replace) {
+      history.replaceState(history.state, '', hash);
+      this.resolve();
+    } else if (location.hash === hash) {
+      this.resolve();
+    } else {
+      location.hash = hash;
+    }
+  },
 
-function handleFormSubmit(e) {
-  e.preventDefault();
-  if (!validateForm()) return;
+  /**
+   * Rewrite the query of the current entry without re-rendering
+   */
+  updateQuery(path, query) {
+    const hash = this.buildHash(path, query);
+    if (location.hash !== hash) {
+      history.replaceState(history.state, '', hash);
+    }
+    this.current = hash;
+  },
 
-  const data = getFormData();
-  const recipeId = document.getElementById('recipeForm').dataset.recipeId;
-  let result;
+  /**
+   * Number history entries as they are visited, so a refused change can
+   * tell Back and Forward from a new entry
+   */
+  markEntry() {
+    const index = history.state?.index;
+    if (typeof index === 'number') {
+      this.index = index;
+    } else {
+      this.index += 1;
+      history.replaceState({ index: this.index }, '', location.hash);
+    }
+  },
 
-  if (recipeId) {
-    result = Recipes.update(parseInt(recipeId), data);
-    if (result) {
-      alert('Recipe updated!');
-      showRecipeDetail(recipeId);
+  /**
+   * Undo a hash change the guard refused by going back to the entry it
+   * came from, so the entries around it stay as they were. A new entry
+   * (a link) is always one ahead.
+   */
+  stay() {
+    const index = history.state?.index;
+    const delta = typeof index === 'number' ? this.index - index : -1;
+    if (delta === 0) {
+      history.replaceState(history.state, '', this.current);
       return;
     }
-  } else {
-    result = Recipes.add(data);
-    if (result) {
-      alert('Recipe added!');
-      showHomePage();
-      return;
+    this.restoring = true;
+    history.go(delta);
+  },
+
+  resolve() {
+    this.markEntry();
+    this.current = location.hash;
+    const { path, query } = this.parse(location.hash);
+    for (const route of this.routes) {
+      const match = path.match(route.regex);
+      if (match) {
+        const params = {};
+        try {
+          route.keys.forEach((key, i) => {
+            params[key] = decodeURIComponent(match[i + 1]);
+          });
+        } catch (e) {
+          // A malformed escape such as "%E0" in a pasted link
+          showNotFound('This link is broken.');
+          return;
+        }
+        route.handler(params, query);
+        return;
+      }
     }
-  }
-  alert('Operation failed');
-}
+    showNotFound();
+  },
 
-// ========== PAGE NAVIGATION ==========
-function showHomePage() {
-  document.getElementById('homePage').style.display = 'block';
-  document.getElementById('addEditPage').style.display = 'none';
-  document.getElementById('detailPage').style.display = 'none';
-  displayRecipes();
+  start() {
+    window.addEventListener('hashchange', () => {
+      if (this.restoring) {
+        this.restoring = false;
+        return;
+      }
+      if (this.guard && !this.guard()) {
+        this.stay();
+        return;
+      }
+      this.resolve();
+    });
+    this.resolve();
+  },
+};
 
-  // Remove back-to-top button when leaving detail page
-  const backToTopBtn = document.querySelector('.back-to-top');
-  if (backToTopBtn) {
-    backToTopBtn.remove();
+// Last known home-page query, so "Back to Recipes" restores the filters
+let homeQuery = '';
+
+function getHomeQuery({
+  search,
+  difficulty,
+  maxTime,
+  maxCalories,
+  type,
+  excluded,
+  pantry,
+  facets,
+  mode,
+  favorites,
+  sort,
+  page,
+}) {
+  const query = {};
+  if (search) query.q = search;
+  if (difficulty && difficulty !== 'all') query.difficulty = difficulty;
+  if (maxTime) query.time = maxTime;
+  if (maxCalories) query.kcal = maxCalories;
+  if (type && type !== 'all') query.type = type;
+  if (excluded && excluded.length) query.exclude = excluded.join(',');
+  if (pantry) query.pantry = 1;
+  if (facets && facets.length) {
+    query.facets = facets.join(',');
+    if (mode === 'any') query.match = 'any';
   }
+  if (favorites) query.favorites = 1;
+  if (sort) query.sort = sort;
+  if (page > 1) query.page = page;
+  return query;
 }
 
-function showAddEditPage(id = null) {
-  document.getElementById('homePage').style.display = 'none';
-  document.getElementById('addEditPage').style.display = 'block';
-  document.getElementById('detailPage').style.display = 'none';
-
-  const form = document.getElementById('recipeForm');
-  delete form.dataset.recipeId;
-  const title = document.getElementById('formTitle');
-  if (title) title.textContent = 'Add New Recipe';
-
-  form.reset();
-  document.getElementById('ingredientsContainer').innerHTML = '';
-  document.getElementById('stepsContainer').innerHTML = '';
-  addIngredient();
-  addStep();
-
-  // default to veg for new recipe form
-  if (!id && document.getElementById('type')) {
-    document.getElementById('type').value = 'veg';
+function syncHomeQuery(state) {
+  const query = getHomeQuery(state);
+  homeQuery = new URLSearchParams(query).toString();
+  if (Router.parse(location.hash).path === '/') {
+    Router.updateQuery('/', query);
   }
-
-  if (id) loadRecipeForEdit(id);
 }
 
-function showRecipeDetail(id) {
-  const recipe = Recipes.getById(id);
-  if (!recipe) {
-    alert('Recipe not found');
-    showHomePage();
-    return;
-  }
+function getHomeHash() {
+  return Router.buildHash('/', homeQuery);
+}
 
-  document.getElementById('homePage').style.display = 'none';
-  document.getElementById('addEditPage').style.display = 'none';
-  document.getElementById('detailPage').style.display = 'block';
+function navigateHome(options) {
+  Router.navigate('/', homeQuery, options);
+}
 
-  const detail = document.getElementById('recipeDetail');
-  const badge = getDifficultyBadge(recipe.difficulty);
-  const typeBadge = getTypeBadge(recipe.type);
-  const totalTime = recipe.prepTime + recipe.cookTime;
+/**
+ * Copy the filter state from the URL query into the home page controls
+ * @param {URLSearchParams} query
+ */
+function applyHomeQuery(query) {
+  const searchInput = document.getElementById('searchInput');
+  const diffFilter = document.getElementById('difficultyFilter');
+  const timeFilter = document.getElementById('prepTimeFilter');
 
-  let img = '';
-  if (recipe.imageUrl && recipe.imageUrl.trim()) {
-    img = `<img src="${escapeHtml(appendCacheBuster(recipe.imageUrl))}" 
-           alt="${escapeHtml(recipe.title)}" class="recipe-image" 
-           onerror="this.style.display='none'">`;
+  if (searchInput) searchInput.value = query.get('q') || '';
+  if (diffFilter) {
+    const difficulty = query.get('difficulty');
+    diffFilter.value = ['easy', 'medium', 'hard'].includes(difficulty)
+      ? difficulty
+      : 'all';
+  }
+  if (timeFilter) {
+    timeFilter.value = query.get('time') || '0';
+    if (timeFilter.selectedIndex === -1) timeFilter.value = '0';
+  }
+  const caloriesFilter = document.getElementById('caloriesFilter');
+  if (caloriesFilter) {
+    caloriesFilter.value = query.get('kcal') || '0';
+    if (caloriesFilter.selectedIndex === -1) caloriesFilter.value = '0';
   }
 
-  const editSvg = `<svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><path d="M11 4H4a2 2 0 0 0-2 2v14a2 2 0 0 0 2 2h14a2 2 0 0 0 2-2v-7"></path><path d="M18.5 2.5a2.121 2.121 0 0 1 3 3L12 15l-4 1 1-4 9.5-9.5z"></path></svg>`;
-  const deleteSvg = `<svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><polyline points="3 6 5 6 21 6"></polyline><path d="M19 6v14a2 2 0 0 1-2 2H7a2 2 0 0 1-2-2V6m3 0V4a2 2 0 0 1 2-2h4a2 2 0 0 1 2 2v2"></path><line x1="10" y1="11" x2="10" y2="17"></line><line x1="14" y1="11" x2="14" y2="17"></line></svg>`;
+  const excluded = (query.get('exclude') || '').split(',');
+  document.querySelectorAll('#allergenFilters input').forEach((input) => {
+    input.checked = excluded.includes(input.value);
+  });
 
-  detail.innerHTML = `
-    <div class="recipe-detail-header">
-      <a href="#" onclick="showHomePage(); return false;" class="back-link">← Back to Recipes</a>
-      <div class="recipe-actions">
-        <a href="#" onclick="showAddEditPage(${
-          recipe.id
-        }); return false;" class="btn-icon-edit" title="Edit">${editSvg}</a>
-        <button onclick="deleteRecipe(${
-          recipe.id
-        })" class="btn-icon-delete" title="Delete">${deleteSvg}</button>
-      </div>
-    </div>
+  const pantryToggle = document.getElementById('pantryModeToggle');
+  if (pantryToggle) pantryToggle.checked = query.get('pantry') === '1';
 
-    <div class="recipe-intro-row">
-      ${img}
-      <div class="recipe-intro-text">
-        <h1>${escapeHtml(recipe.title)}</h1>
-        <p class="recipe-description">${escapeHtml(recipe.description)}</p>
-        <div class="recipe-meta">
-          <div class="meta-item">
-            <span class="meta-label">Prep Time:</span>
-            <span class="meta-value">${recipe.prepTime} min</span>
-          </div>
-          <div class="meta-item">
-            <span class="meta-label">Cook Time:</span>
-            <span class="meta-value">${recipe.cookTime} min</span>
-          </div>
-          <div class="meta-item">
-            <span class="meta-label">Total Time:</span>
-            <span class="meta-value">${totalTime} min</span>
-          </div>
-          <div class="meta-item">
-            <span class="meta-label">Difficulty:</span>
-            <span class="meta-value">${badge}</span>
-          </div>
-          <div class="meta-item">
-            <span class="meta-label">Type:</span>
-            <span class="meta-value">${typeBadge}</span>
-          </div>
-        </div>
-      </div>
-    </div>
+  facetFilter.facets = (query.get('facets') || '')
+    .split(',')
+    .filter(isValidFacet);
+  facetFilter.mode = query.get('match') === 'any' ? 'any' : 'all';
 
-    <div class="recipe-section">
-      <h2>Ingredients</h2>
-      <ul class="ingredients-list">
-        ${recipe.ingredients
-          .map((ing) => `<li>${escapeHtml(ing)}</li>`)
-          .join('')}
-      </ul>
-    </div>
+  const favoritesFilter = document.getElementById('favoritesFilter');
+  if (favoritesFilter) favoritesFilter.checked = query.get('favorites') === '1';
+  const sortSelect = document.getElementById('sortSelect');
+  if (sortSelect) {
+    sortSelect.value = query.get('sort') || '';
+    if (sortSelect.selectedIndex === -1) sortSelect.value = '';
+  }
 
-    <div class="recipe-section">
-      <h2>Instructions</h2>
-      <ol class="steps-list">
-        ${recipe.steps
-          .map(
-            (step, i) => `
-          <li>
-            <span class="step-number">${i + 1}</span>
-            <span class="step-text">${escapeHtml(step)}</span>
-          </li>
-        `
-          )
-          .join('')}
-      </ol>
-    </div>
-  `;
+  const type = query.get('type');
+  window.currentTypeFilter = ['veg', 'non-veg'].includes(type) ? type : 'all';
+  updateTypeFilterToggle(window.currentTypeFilter);
 
-  // Add back-to-top button
-  const backToTopBtn = document.createElement('button');
-  backToTopBtn.className = 'back-to-top';
-  backToTopBtn.innerHTML = '↑';
-  backToTopBtn.onclick = scrollToTop;
-  document.body.appendChild(backToTopBtn);
+  // Out-of-range pages are brought back in range once the grid is drawn
+  gridState.page = Math.max(parseInt(query.get('page')) || 1, 1);
+  gridState.filterQuery = null;
 }
 
-function deleteRecipe(id) {
-  if (confirm('Delete this recipe?')) {
-    Recipes.delete(id);
-    showHomePage();
-  }
+function parseRecipeId(value) {
+  return /^\d+$/.test(value) ? parseInt(value) : null;
 }
 
-function scrollToTop() {
-  window.scrollTo({ top: 0, behavior: 'smooth' });
-}
+Router.add('/', (params, query) => {
+  applyHomeQuery(query);
+  showHomePage();
+});
+Router.add('/new', () => showAddEditPage());
+Router.add('/recipe/:id', ({ id }, query) => {
+  const recipeId = parseRecipeId(id);
+  if (recipeId === null) {
+    showNotFound(`"${id}" is not a valid recipe id.`);
+    return;
+  }
+  showRecipeDetail(recipeId, parseInt(query.get('servings')) || null);
+});
+Router.add('/recipe/:id/edit', ({ id }) => {
+  const recipeId = parseRecipeId(id);
+  if (recipeId === null) {
+    showNotFound(`"${id}" is not a valid recipe id.`);
+    return;
+  }
+  showAddEditPage(recipeId);
+});
+Router.add('/recipe/:id/cook', ({ id }, query) => {
+  const recipeId = parseRecipeId(id);
+  if (recipeId === null) {
+    showNotFound(`"${id}" is not a valid recipe id.`);
+    return;
+  }
+  showCookMode(recipeId, {
+    step: parseInt(query.get('step')) || 1,
+    servings: parseInt(query.get('servings')) || null,
+  });
+});
+Router.add('/recipe/:id/history', ({ id }, query) => {
+  const recipeId = parseRecipeId(id);
+  if (recipeId === null) {
+    showNotFound(`"${id}" is not a valid recipe id.`);
+    return;
+  }
+  showHistoryPage(
+    recipeId,
+    parseInt(query.get('from')) || null,
+    parseInt(query.get('to')) || null
+  );
+});
+Router.add('/planner', (params, query) => showPlannerPage(query.get('week')));
+Router.add('/shopping', () => showShoppingPage());
+Router.add('/trash', () => showTrashPage());
+Router.add('/import', () => showBulkImportPage());
+Router.add('/recovery', () => showRecoveryPage());
+Router.add('/recovery/:qid/repair', ({ qid }) => showRepairPage(qid));
 
-function filterByType(type) {
-  window.currentTypeFilter = type;
-  updateTypeFilterToggle(type);
-  displayRecipes();
-}
+// ========== TAB SYNC ==========
+// Changes from other tabs arrive in bursts (an import saves many recipes),
+// so they are applied together once quiet for this long
+const SYNC_DELAY = 150;
+const syncedKeys = new Set();
 
-function handleTypeToggle() {
-  const toggle = document.getElementById('typeToggle');
-  if (toggle.checked) {
-    filterByType('non-veg');
-  } else {
-    filterByType('veg');
+/**
+ * Storage change listener: reload what another tab changed and redraw
+ * @param {{key: string, ids: (number[]|undefined)}} change
+ */
+function handleStorageChange(change) {
+  syncedKeys.add(change.key);
+  // Straight away, so that nothing reads the old recipes meanwhile
+  if (change.key === Storage.RECIPES_KEY) Recipes.invalidate();
+  const editedId = formState.recipe && formState.recipe.id;
+  if (
+    change.key === Storage.RECIPES_KEY &&
+    editedId &&
+    (!change.ids || change.ids.includes(editedId))
+  ) {
+    showSnackbar('This recipe was just changed in another tab.');
   }
+  applySyncedChanges();
 }
 
-function updateTypeFilterToggle(type) {
-  const toggle = document.getElementById('typeToggle');
-  const slider = document.querySelector('.toggle-slider');
-  const clearBtn = document.getElementById('clearTypeFilterBtn');
+const applySyncedChanges = debounce(async () => {
+  const keys = new Set(syncedKeys);
+  syncedKeys.clear();
+  // Rebuilt from storage on the next search
+  if (keys.has(Storage.ACTIVITY_KEY)) await Activity.load();
+  if (keys.has(Storage.MEAL_PLAN_KEY)) await MealPlan.load();
+  if (keys.has(Storage.SHOPPING_KEY)) await ShoppingList.load();
+  if (keys.has(Storage.PANTRY_KEY)) await loadPantry();
+  if (keys.has(Storage.NUTRITION_MAPPINGS_KEY)) await loadNutritionMappings();
+  // Drafts only matter when a form is opened
+  keys.delete(Storage.DRAFTS_KEY);
+  if (keys.size > 0) refreshShownPage();
+}, SYNC_DELAY);
 
-  if (type === 'all') {
-    toggle.checked = false;
-    if (slider) slider.classList.remove('active-red', 'active-green');
-    if (clearBtn) clearBtn.classList.remove('active');
-  } else if (type === 'non-veg') {
-    toggle.checked = true;
-    if (slider) {
-      slider.classList.remove('active-green');
-      slider.classList.add('active-red');
-    }
-    if (clearBtn) clearBtn.classList.add('active');
-  } else if (type === 'veg') {
-    toggle.checked = false;
-    if (slider) {
-      slider.classList.remove('active-red');
-      slider.classList.add('active-green');
-    }
-    if (clearBtn) clearBtn.classList.add('active');
-  }
+/**
+ * Redraw the page on screen from storage. The form and cook mode are left
+ * alone, so nothing typed or timed is lost, and so is a page with a
+ * dialog open.
+ */
+function refreshShownPage() {
+  if (document.querySelector('.modal-overlay')) return;
+  const shown = (id) => document.getElementById(id).style.display === 'block';
+  if (shown('addEditPage') || shown('cookPage')) return;
+  // The home page keeps its filters as they are on screen
+  if (shown('homePage')) showHomePage();
+  else Router.resolve();
 }
 
 // ========== INITIALIZATION ==========
-document.addEventListener('DOMContentLoaded', function () {
-  Recipes.init();
+document.addEventListener('DOMContentLoaded', async function () {
+  try {
+    await Recipes.init();
+  } catch (e) {
+    console.error('Storage not available:', e);
+    alert(
+      'Recipes cannot be loaded. Check that browser storage is enabled and reload the page.'
+    );
+    return;
+  }
+  populateUnitOptions();
+  populateTaxonomyOptions();
+  populateAllergenFilters();
+  applyPrintOptions(
+    Storage.getPreference(Storage.PRINT_OPTIONS_KEY, DEFAULT_PRINT_OPTIONS)
+  );
+  await loadPantry();
+  await loadNutritionMappings();
   window.currentTypeFilter = 'all';
 
   const searchInput = document.getElementById('searchInput');
@@ -631,9 +6790,61 @@ document.addEventListener('DOMContentLoaded', function () {
     searchInput.addEventListener('input', debounce(displayRecipes, 300));
   if (diffFilter) diffFilter.addEventListener('change', displayRecipes);
   if (timeFilter) timeFilter.addEventListener('change', displayRecipes);
+  const caloriesFilter = document.getElementById('caloriesFilter');
+  if (caloriesFilter) {
+    caloriesFilter.addEventListener('change', displayRecipes);
+  }
+  document
+    .getElementById('allergenFilters')
+    .addEventListener('change', displayRecipes);
+
+  const pantryForm = document.getElementById('pantryForm');
+  if (pantryForm) pantryForm.addEventListener('submit', handlePantrySubmit);
+  const pantryToggle = document.getElementById('pantryModeToggle');
+  if (pantryToggle) pantryToggle.addEventListener('change', displayRecipes);
+  const favoritesFilter = document.getElementById('favoritesFilter');
+  if (favoritesFilter) {
+    favoritesFilter.addEventListener('change', displayRecipes);
+  }
+  const sortSelect = document.getElementById('sortSelect');
+  if (sortSelect) sortSelect.addEventListener('change', displayRecipes);
+  const plannerSearch = document.getElementById('plannerSearch');
+  if (plannerSearch) {
+    plannerSearch.addEventListener(
+      'input',
+      debounce(renderPlannerLibrary, 300)
+    );
+  }
+
+  const cookStep = document.getElementById('cookStep');
+  if (cookStep) {
+    cookStep.addEventListener('touchstart', handleCookTouchStart, {
+      passive: true,
+    });
+    cookStep.addEventListener('touchend', handleCookTouchEnd);
+  }
+
+  const shoppingPlanForm = document.getElementById('shoppingPlanForm');
+  if (shoppingPlanForm) {
+    shoppingPlanForm.addEventListener('submit', handleShoppingPlanSubmit);
+  }
 
   const form = document.getElementById('recipeForm');
-  if (form) form.addEventListener('submit', handleFormSubmit);
+  if (form) {
+    form.addEventListener('submit', handleFormSubmit);
+    // Clicks cover rows and tags being added or removed
+    ['input', 'change', 'click'].forEach((type) =>
+      form.addEventListener(type, scheduleFormDraft)
+    );
+  }
+  window.addEventListener('beforeunload', handleBeforeUnload);
+  Storage.onChange(handleStorageChange);
+  Router.guard = confirmLeaveForm;
+  const tagInput = document.getElementById('tagInput');
+  if (tagInput) {
+    tagInput.addEventListener('keydown', handleTagKeydown);
+    tagInput.addEventListener('change', handleTagChange);
+  }
 
   // Show/hide back-to-top button on scroll
   window.addEventListener('scroll', function () {
@@ -647,5 +6858,5 @@ document.addEventListener('DOMContentLoaded', function () {
     }
   });
 
-  showHomePage();
+  Router.start();
 });
@@ -0,0 +1,242 @@
+/**
+ * Search Module
+ * In-memory inverted index over recipe title, tags, description,
+ * ingredients and steps. Results are ranked by field weight and term rarity; query terms
+ * also match indexed words they prefix or are a small typo away from.
+ */
+
+// ========== SEARCH INDEX ==========
+const SearchIndex = {
+  // Relative importance of a match in each field
+  FIELD_WEIGHTS: {
+    title: 5,
+    tags: 3,
+    ingredients: 3,
+    description: 2,
+    steps: 1,
+  },
+  // Score multipliers for the three ways a query term can match
+  EXACT_BOOST: 1,
+  PREFIX_BOOST: 0.6,
+  FUZZY_BOOST: 0.4,
+  MIN_PREFIX_LENGTH: 2,
+
+  postings: new Map(), // term -> Map(recipeId -> { field: count })
+  docTerms: new Map(), // recipeId -> Set of terms, for removal
+  expansions: new Map(), // query term -> cached matches
+  ready: false,
+
+  /**
+   * Lowercase and strip accents so "Crème" matches "creme"
+   * @param {string} text
+   * @returns {string}
+   */
+  normalize(text) {
+    return String(text)
+      .toLowerCase()
+      .normalize('NFD')
+      .replace(/[\u0300-\u036f]/g, '');
+  },
+
+  /**
+   * @param {string} text
+   * @returns {string[]} Normalized words
+   */
+  tokenize(text) {
+    if (typeof text !== 'string') return [];
+    return this.normalize(text).match(/[\p{L}\p{N}]+/gu) || [];
+  },
+
+  /**
+   * Searchable text of a recipe, per field
+   * @param {Object} recipe
+   * @returns {Object<string, string[]>} Field name -> words
+   */
+  fieldsOf(recipe) {
+    const ingredients = (recipe.ingredients || []).map((ing) =>
+      typeof ing === 'string' ? ing : `${ing.name || ''} ${ing.note || ''}`
+    );
+    return {
+      title: this.tokenize(recipe.title),
+      tags: this.tokenize(
+        [...(recipe.tags || []), recipe.cuisine, recipe.course].join(' ')
+      ),
+      description: this.tokenize(recipe.description),
+      ingredients: this.tokenize(ingredients.join(' ')),
+      steps: this.tokenize((recipe.steps || []).join(' ')),
+    };
+  },
+
+  /**
+   * Rebuild the whole index
+   * @param {Array} recipes
+   */
+  build(recipes) {
+    this.postings.clear();
+    this.docTerms.clear();
+    this.expansions.clear();
+    recipes.forEach((recipe) => this.add(recipe));
+    this.ready = true;
+  },
+
+  add(recipe) {
+    const terms = new Set();
+    Object.entries(this.fieldsOf(recipe)).forEach(([field, words]) => {
+      words.forEach((word) => {
+        if (!this.postings.has(word)) this.postings.set(word, new Map());
+        const docs = this.postings.get(word);
+        if (!docs.has(recipe.id)) docs.set(recipe.id, {});
+        const counts = docs.get(recipe.id);
+        counts[field] = (counts[field] || 0) + 1;
+        terms.add(word);
+      });
+    });
+    this.docTerms.set(recipe.id, terms);
+    this.expansions.clear();
+  },
+
+  remove(id) {
+    const terms = this.docTerms.get(id);
+    if (!terms) return;
+    terms.forEach((term) => {
+      const docs = this.postings.get(term);
+      docs.delete(id);
+      if (docs.size === 0) this.postings.delete(term);
+    });
+    this.docTerms.delete(id);
+    this.expansions.clear();
+  },
+
+  update(recipe) {
+    this.remove(recipe.id);
+    this.add(recipe);
+  },
+
+  /**
+   * Typo allowance grows with word length; short words must match exactly
+   * @param {string} term
+   * @returns {number} Maximum edit distance
+   */
+  maxEdits(term) {
+    if (term.length < 4) return 0;
+    return term.length < 8 ? 1 : 2;
+  },
+
+  /**
+   * Optimal string alignment distance (insert, delete, substitute and swap
+   * of neighbours), giving up early once it exceeds `max`
+   * @returns {number} The distance, or max + 1 when larger than max
+   */
+  editDistance(a, b, max) {
+    if (Math.abs(a.length - b.length) > max) return max + 1;
+    let prevPrev = null;
+    let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+    for (let i = 1; i <= a.length; i++) {
+      const row = [i];
+      let rowMin = i;
+      for (let j = 1; j <= b.length; j++) {
+        const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+        let value = Math.min(prev[j] + 1, row[j - 1] + 1, prev[j - 1] + cost);
+        if (
+          prevPrev &&
+          i > 1 &&
+          j > 1 &&
+          a[i - 1] === b[j - 2] &&
+          a[i - 2] === b[j - 1]
+        ) {
+          value = Math.min(value, prevPrev[j - 2] + 1);
+        }
+        row.push(value);
+        rowMin = Math.min(rowMin, value);
+      }
+      if (rowMin > max) return max + 1;
+      prevPrev = prev;
+      prev = row;
+    }
+    return prev[b.length];
+  },
+
+  /**
+   * Indexed terms a query word matches: itself, words it prefixes, and
+   * words within typo distance
+   * @param {string} word - Normalized query word
+   * @returns {Array<{term: string, boost: number}>}
+   */
+  expand(word) {
+    if (this.expansions.has(word)) return this.expansions.get(word);
+    const matches = [];
+    const max = this.maxEdits(word);
+    this.postings.forEach((docs, term) => {
+      if (term === word) {
+        matches.push({ term, boost: this.EXACT_BOOST });
+      } else if (
+        word.length >= this.MIN_PREFIX_LENGTH &&
+        term.startsWith(word)
+      ) {
+        matches.push({ term, boost: this.PREFIX_BOOST });
+      } else if (max > 0 && this.editDistance(word, term, max) <= max) {
+        matches.push({ term, boost: this.FUZZY_BOOST });
+      }
+    });
+    this.expansions.set(word, matches);
+    return matches;
+  },
+
+  /**
+   * Rank recipes against a query. Every query word must match.
+   * @param {string} query
+   * @returns {Array<{id: number, score: number}>} Best match first
+   */
+  search(query) {
+    const words = [...new Set(this.tokenize(query))];
+    if (words.length === 0) return [];
+    const total = this.docTerms.size;
+    let scores = null;
+
+    for (const word of words) {
+      const wordScores = new Map();
+      this.expand(word).forEach(({ term, boost }) => {
+        const docs = this.postings.get(term);
+        // Rare words say more about a recipe than common ones
+        const idf = Math.log(1 + total / docs.size);
+        docs.forEach((counts, id) => {
+          const weight = Object.entries(counts).reduce(
+            (sum, [field, count]) => sum + this.FIELD_WEIGHTS[field] * count,
+            0
+          );
+          const score = boost * idf * weight;
+          // A word counts once per recipe, through its best match
+          wordScores.set(id, Math.max(wordScores.get(id) || 0, score));
+        });
+      });
+
+      if (scores === null) {
+        scores = wordScores;
+      } else {
+        const combined = new Map();
+        scores.forEach((score, id) => {
+          if (wordScores.has(id)) combined.set(id, score + wordScores.get(id));
+        });
+        scores = combined;
+      }
+      if (scores.size === 0) return [];
+    }
+
+    return Array.from(scores, ([id, score]) => ({ id, score })).sort(
+      (a, b) => b.score - a.score
+    );
+  },
+
+  /**
+   * All indexed terms a query matches, for highlighting
+   * @param {string} query
+   * @returns {Set<string>}
+   */
+  matchedTerms(query) {
+    const terms = new Set();
+    new Set(this.tokenize(query)).forEach((word) =>
+      this.expand(word).forEach(({ term }) => terms.add(term))
+    );
+    return terms;
+  },
+};
@@ -1,80 +1,661 @@
 /**
- * LocalStorage Management Module
- * Handles all localStorage operations with error handling
+ * Storage Module
+ * Async storage for recipes with pluggable backends: IndexedDB (one record
+ * per recipe) when available, localStorage otherwise. Small preferences
+ * always stay in localStorage so they can be read synchronously.
+ * Every write is announced to the app's other open tabs.
  */
 
-const Storage = {
+// ========== IMAGE DATA ==========
+/**
+ * @param {Blob} blob
+ * @returns {Promise<string>} data: URL
+ */
+function blobToDataUrl(blob) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsDataURL(blob);
+  });
+}
+
+/**
+ * @param {string} dataUrl - base64 data: URL
+ * @returns {Blob}
+ */
+function dataUrlToBlob(dataUrl) {
+  const [header, base64] = dataUrl.split(',');
+  const type = header.match(/^data:([^;]+)/)?.[1] || '';
+  const bytes = atob(base64 || '');
+  const buffer = new Uint8Array(bytes.length);
+  for (let i = 0; i < bytes.length; i++) buffer[i] = bytes.charCodeAt(i);
+  return new Blob([buffer], { type });
+}
+
+// ========== LOCALSTORAGE BACKEND ==========
+const LocalStorageBackend = {
+  name: 'localStorage',
   RECIPES_KEY: 'recipes',
+  // Photos are kept as data: URLs, one key each
+  IMAGE_PREFIX: 'image:',
+
+  async isAvailable() {
+    try {
+      const test = '__localStorage_test__';
+      localStorage.setItem(test, test);
+      localStorage.removeItem(test);
+      return true;
+    } catch (e) {
+      return false;
+    }
+  },
 
   /**
-   * Get all recipes from localStorage
+   * Read the recipes array. Synchronous so the IndexedDB migration can use
+   * it directly.
    * @returns {Array} Array of recipes
+   * @throws {Error} With the stored text in `raw` when it cannot be parsed
+   */
+  readRecipes() {
+    const recipesJson = localStorage.getItem(this.RECIPES_KEY);
+    if (!recipesJson) {
+      return [];
+    }
+    let recipes;
+    try {
+      recipes = JSON.parse(recipesJson);
+    } catch (e) {
+      recipes = null;
+    }
+    if (!Array.isArray(recipes)) {
+      const error = new Error('Stored recipe data is not a readable list');
+      error.raw = recipesJson;
+      throw error;
+    }
+    return recipes;
+  },
+
+  writeRecipes(recipes) {
+    localStorage.setItem(this.RECIPES_KEY, JSON.stringify(recipes));
+  },
+
+  async getRecipes() {
+    return this.readRecipes();
+  },
+
+  async putRecipes(recipes) {
+    const byId = new Map(this.readRecipes().map((r) => [r.id, r]));
+    recipes.forEach((recipe) => byId.set(recipe.id, recipe));
+    this.writeRecipes(Array.from(byId.values()));
+  },
+
+  async replaceRecipes(recipes) {
+    this.writeRecipes(recipes);
+  },
+
+  async deleteRecipe(id) {
+    this.writeRecipes(this.readRecipes().filter((r) => r?.id !== id));
+  },
+
+  async clearRecipes() {
+    localStorage.removeItem(this.RECIPES_KEY);
+  },
+
+  async getValue(key) {
+    const data = localStorage.getItem(key);
+    return data ? JSON.parse(data) : undefined;
+  },
+
+  async setValue(key, value) {
+    localStorage.setItem(key, JSON.stringify(value));
+  },
+
+  async deleteValue(key) {
+    localStorage.removeItem(key);
+  },
+
+  imageIds() {
+    return Object.keys(localStorage)
+      .filter((key) => key.startsWith(this.IMAGE_PREFIX))
+      .map((key) => key.slice(this.IMAGE_PREFIX.length));
+  },
+
+  async getImage(id) {
+    const dataUrl = localStorage.getItem(this.IMAGE_PREFIX + id);
+    return dataUrl ? dataUrlToBlob(dataUrl) : undefined;
+  },
+
+  async putImage(id, blob) {
+    localStorage.setItem(this.IMAGE_PREFIX + id, await blobToDataUrl(blob));
+  },
+
+  async deleteImage(id) {
+    localStorage.removeItem(this.IMAGE_PREFIX + id);
+  },
+};
+
+// ========== INDEXEDDB BACKEND ==========
+const IndexedDBBackend = {
+  name: 'indexedDB',
+  DB_NAME: 'recipe-manager',
+  DB_VERSION: 2,
+  RECIPES_STORE: 'recipes',
+  META_STORE: 'meta',
+  IMAGES_STORE: 'images', // Blobs keyed by image id
+  db: null,
+
+  /**
+   * Open (and on first use create) the database
+   * @returns {Promise<IDBDatabase>}
    */
+  open() {
+    if (this.db) return Promise.resolve(this.db);
+    return new Promise((resolve, reject) => {
+      const request = indexedDB.open(this.DB_NAME, this.DB_VERSION);
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        if (!db.objectStoreNames.contains(this.RECIPES_STORE)) {
+          db.createObjectStore(this.RECIPES_STORE, { keyPath: 'id' });
+        }
+        if (!db.objectStoreNames.contains(this.META_STORE)) {
+          db.createObjectStore(this.META_STORE, { keyPath: 'key' });
+        }
+        if (!db.objectStoreNames.contains(this.IMAGES_STORE)) {
+          db.createObjectStore(this.IMAGES_STORE);
+        }
+      };
+      request.onsuccess = () => {
+        this.db = request.result;
+        // Let a newer version open in another tab upgrade the database
+        this.db.onversionchange = () => {
+          this.db.close();
+          this.db = null;
+        };
+        resolve(this.db);
+      };
+      request.onerror = () => reject(request.error);
+      request.onblocked = () =>
+        reject(new Error('Database upgrade blocked by another tab'));
+    });
+  },
+
+  async isAvailable() {
+    if (typeof indexedDB === 'undefined') return false;
+    try {
+      await this.open();
+      return true;
+    } catch (e) {
+      // e.g. Firefox private windows refuse to open databases
+      console.error('IndexedDB unavailable:', e);
+      return false;
+    }
+  },
+
+  /**
+   * Run work inside a transaction; resolves once the transaction commits
+   * @param {string} storeName
+   * @param {IDBTransactionMode} mode
+   * @param {Function} work - Receives the object store, may return a request
+   * @returns {Promise<*>} Result of the returned request, if any
+   */
+  async transaction(storeName, mode, work) {
+    const db = await this.open();
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction(storeName, mode);
+      const request = work(tx.objectStore(storeName));
+      tx.oncomplete = () => resolve(request ? request.result : undefined);
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error);
+    });
+  },
+
   getRecipes() {
+    return this.transaction(this.RECIPES_STORE, 'readonly', (store) =>
+      store.getAll()
+    );
+  },
+
+  putRecipes(recipes) {
+    return this.transaction(this.RECIPES_STORE, 'readwrite', (store) => {
+      recipes.forEach((recipe) => store.put(recipe));
+    });
+  },
+
+  replaceRecipes(recipes) {
+    return this.transaction(this.RECIPES_STORE, 'readwrite', (store) => {
+      store.clear();
+      recipes.forEach((recipe) => store.put(recipe));
+    });
+  },
+
+  deleteRecipe(id) {
+    return this.transaction(this.RECIPES_STORE, 'readwrite', (store) =>
+      store.delete(id)
+    );
+  },
+
+  clearRecipes() {
+    return this.transaction(this.RECIPES_STORE, 'readwrite', (store) =>
+      store.clear()
+    );
+  },
+
+  async getValue(key) {
+    const record = await this.transaction(
+      this.META_STORE,
+      'readonly',
+      (store) => store.get(key)
+    );
+    return record ? record.value : undefined;
+  },
+
+  setValue(key, value) {
+    return this.transaction(this.META_STORE, 'readwrite', (store) =>
+      store.put({ key, value })
+    );
+  },
+
+  deleteValue(key) {
+    return this.transaction(this.META_STORE, 'readwrite', (store) =>
+      store.delete(key)
+    );
+  },
+
+  getImage(id) {
+    return this.transaction(this.IMAGES_STORE, 'readonly', (store) =>
+      store.get(id)
+    );
+  },
+
+  putImage(id, blob) {
+    return this.transaction(this.IMAGES_STORE, 'readwrite', (store) =>
+      store.put(blob, id)
+    );
+  },
+
+  deleteImage(id) {
+    return this.transaction(this.IMAGES_STORE, 'readwrite', (store) =>
+      store.delete(id)
+    );
+  },
+};
+
+// ========== STORAGE ==========
+const Storage = {
+  UNIT_SYSTEM_KEY: 'unitSystem',
+  MIGRATED_KEY: 'migratedFromLocalStorage',
+  SCHEMA_VERSION_KEY: 'schemaVersion',
+  QUARANTINE_KEY: 'quarantine',
+  PANTRY_KEY: 'pantry',
+  ACTIVITY_KEY: 'activity',
+  MEAL_PLAN_KEY: 'mealPlan',
+  SHOPPING_KEY: 'shoppingList',
+  TRASH_KEY: 'trash',
+  TRASH_DAYS_KEY: 'trashRetentionDays',
+  REVISIONS_KEY: 'revisions',
+  DRAFTS_KEY: 'drafts',
+  PRINT_OPTIONS_KEY: 'printOptions',
+  NUTRITION_MAPPINGS_KEY: 'nutritionMappings',
+  // Name recipe writes are announced under (the backends store them apart)
+  RECIPES_KEY: 'recipes',
+  SYNC_CHANNEL: 'recipe-manager',
+  // localStorage key used to reach other tabs without BroadcastChannel
+  SYNC_KEY: 'syncMessage',
+  backend: null,
+  channel: null,
+  changeListeners: [],
+  imageUrls: new Map(), // image id -> object URL, so each blob is read once
+
+  /**
+   * Pick a backend. IndexedDB is preferred; the first time it is used, the
+   * recipes array kept in localStorage by earlier versions is copied over.
+   * @throws {Error} When no storage is available at all
+   */
+  async init() {
+    if (await IndexedDBBackend.isAvailable()) {
+      this.backend = IndexedDBBackend;
+      await this.migrateFromLocalStorage();
+    } else if (await LocalStorageBackend.isAvailable()) {
+      this.backend = LocalStorageBackend;
+    } else {
+      throw new Error('Neither IndexedDB nor localStorage is available');
+    }
+    this.listenForChanges();
+  },
+
+  /**
+   * Run `listener(change)` whenever another tab writes to storage.
+   * `change` is `{ key, ids }`: the storage key written, and for recipes
+   * the ids saved or deleted (none when the whole collection was replaced).
+   */
+  onChange(listener) {
+    this.changeListeners.push(listener);
+  },
+
+  listenForChanges() {
+    const emit = (change) =>
+      this.changeListeners.forEach((listener) => listener(change));
+    if (typeof BroadcastChannel !== 'undefined') {
+      this.channel = new BroadcastChannel(this.SYNC_CHANNEL);
+      this.channel.onmessage = (e) => emit(e.data);
+    } else {
+      // Other tabs get a storage event when the message key is written
+      window.addEventListener('storage', (e) => {
+        if (e.key === this.SYNC_KEY && e.newValue) {
+          emit(JSON.parse(e.newValue).change);
+        }
+      });
+    }
+  },
+
+  notifyChange(change) {
     try {
-      const recipesJson = localStorage.getItem(this.RECIPES_KEY);
-      if (!recipesJson) {
-        return [];
+      if (this.channel) {
+        this.channel.postMessage(change);
+      } else {
+        // The nonce makes every message a new value, so an event fires
+        localStorage.setItem(
+          this.SYNC_KEY,
+          JSON.stringify({ change, nonce: Math.random() })
+        );
       }
-      const recipes = JSON.parse(recipesJson);
-      if (!Array.isArray(recipes)) {
-        console.error('Invalid recipes data format');
-        return [];
+    } catch (e) {
+      console.error('Error notifying other tabs:', e);
+    }
+  },
+
+  async migrateFromLocalStorage() {
+    if (await this.backend.getValue(this.MIGRATED_KEY)) return;
+    if (await LocalStorageBackend.isAvailable()) {
+      let legacy = [];
+      try {
+        legacy = LocalStorageBackend.readRecipes();
+      } catch (e) {
+        await this.quarantineUnreadable(e);
       }
-      return recipes;
-    } catch (error) {
-      console.error('Error reading recipes from localStorage:', error);
-      // Clear corrupted data
-      localStorage.removeItem(this.RECIPES_KEY);
+      // IndexedDB keys records by id, so anything without one is set aside
+      const hasId = (r) =>
+        r && (typeof r.id === 'number' || typeof r.id === 'string');
+      const unkeyed = legacy.filter((r) => !hasId(r));
+      if (unkeyed.length > 0) {
+        await this.addToQuarantine(
+          unkeyed.map((record) => ({ record, errors: ['Record has no id'] }))
+        );
+      }
+      const keyed = legacy.filter(hasId);
+      if (keyed.length > 0) await this.backend.putRecipes(keyed);
+      const imageIds = LocalStorageBackend.imageIds();
+      for (const id of imageIds) {
+        await this.backend.putImage(id, await LocalStorageBackend.getImage(id));
+      }
+      await this.backend.setValue(this.MIGRATED_KEY, true);
+      // Only drop the old copy once the new one is committed
+      await LocalStorageBackend.clearRecipes();
+      imageIds.forEach((id) => LocalStorageBackend.deleteImage(id));
+    } else {
+      await this.backend.setValue(this.MIGRATED_KEY, true);
+    }
+  },
+
+  handleError(action, error) {
+    console.error(`Error ${action}:`, error);
+    if (error && error.name === 'QuotaExceededError') {
+      alert('Storage full. Delete some recipes.');
+    }
+  },
+
+  /**
+   * @returns {Promise<Array|null>} null when the store could not be read,
+   *   which must not be taken for an empty library
+   */
+  async getRecipes() {
+    try {
+      return await this.backend.getRecipes();
+    } catch (e) {
+      this.handleError('reading recipes', e);
+      if (e.raw === undefined) return null;
+      // Keep unreadable data for the recovery screen instead of losing it
+      await this.quarantineUnreadable(e);
+      await this.backend.clearRecipes();
       return [];
     }
   },
 
   /**
-   * Save recipes to localStorage
-   * @param {Array} recipes - Array of recipes to save
-   * @returns {boolean} Success status
+   * Insert or replace one recipe
+   * @returns {Promise<boolean>} Success status
+   */
+  saveRecipe(recipe) {
+    return this.saveRecipes([recipe]);
+  },
+
+  /**
+   * Insert or replace several recipes at once
+   * @returns {Promise<boolean>} Success status
    */
-  saveRecipes(recipes) {
+  async saveRecipes(recipes) {
+    if (!Array.isArray(recipes)) return false;
     try {
-      if (!Array.isArray(recipes)) {
-        console.error('Invalid recipes data: must be an array');
-        return false;
-      }
-      localStorage.setItem(this.RECIPES_KEY, JSON.stringify(recipes));
+      await this.backend.putRecipes(recipes);
+      this.notifyChange({
+        key: this.RECIPES_KEY,
+        ids: recipes.map((r) => r.id),
+      });
       return true;
-    } catch (error) {
-      console.error('Error saving recipes to localStorage:', error);
-      // Handle quota exceeded error
-      if (error.name === 'QuotaExceededError') {
-        alert('Storage quota exceeded. Please delete some recipes.');
-      }
+    } catch (e) {
+      this.handleError('saving recipes', e);
       return false;
     }
   },
 
   /**
-   * Clear all recipes from localStorage
+   * Replace the whole recipe collection (used after quarantining records)
+   * @returns {Promise<boolean>} Success status
    */
-  clearRecipes() {
+  async replaceRecipes(recipes) {
     try {
-      localStorage.removeItem(this.RECIPES_KEY);
-    } catch (error) {
-      console.error('Error clearing recipes from localStorage:', error);
+      await this.backend.replaceRecipes(recipes);
+      this.notifyChange({ key: this.RECIPES_KEY });
+      return true;
+    } catch (e) {
+      this.handleError('saving recipes', e);
+      return false;
     }
   },
 
+  async deleteRecipe(id) {
+    try {
+      await this.backend.deleteRecipe(id);
+      this.notifyChange({ key: this.RECIPES_KEY, ids: [id] });
+      return true;
+    } catch (e) {
+      this.handleError('deleting recipe', e);
+      return false;
+    }
+  },
+
+  /**
+   * Records that failed validation or migration, kept for manual recovery
+   * @returns {Promise<Array<{qid: string, record: *, errors: Array<string>, quarantinedAt: string}>>}
+   */
+  getQuarantine() {
+    return this.getValue(this.QUARANTINE_KEY, []);
+  },
+
+  /**
+   * @param {Array<{record: *, errors: Array<string>}>} items
+   * @returns {Promise<boolean>} Success status
+   */
+  async addToQuarantine(items) {
+    const quarantine = await this.getQuarantine();
+    const now = new Date().toISOString();
+    items.forEach((item) => {
+      quarantine.push({
+        qid: `${Date.now()}-${quarantine.length}`,
+        record: item.record,
+        errors: item.errors,
+        quarantinedAt: now,
+      });
+    });
+    return this.setValue(this.QUARANTINE_KEY, quarantine);
+  },
+
+  async removeFromQuarantine(qid) {
+    const quarantine = await this.getQuarantine();
+    return this.setValue(
+      this.QUARANTINE_KEY,
+      quarantine.filter((item) => item.qid !== qid)
+    );
+  },
+
   /**
-   * Check if localStorage is available
-   * @returns {boolean}
+   * Deleted recipes, kept until restored or purged
+   * @returns {Promise<Array<{recipe: Object, deletedAt: string}>>}
    */
-  isAvailable() {
+  getTrash() {
+    return this.getValue(this.TRASH_KEY, []);
+  },
+
+  /**
+   * @returns {Promise<boolean>} Success status
+   */
+  async addToTrash(recipe) {
+    const trash = (await this.getTrash()).filter(
+      (item) => item.recipe.id !== recipe.id
+    );
+    trash.push({ recipe, deletedAt: new Date().toISOString() });
+    return this.setValue(this.TRASH_KEY, trash);
+  },
+
+  /**
+   * @param {number[]} ids - Recipe ids
+   * @returns {Promise<boolean>} Success status
+   */
+  async removeFromTrash(ids) {
+    const trash = await this.getTrash();
+    return this.setValue(
+      this.TRASH_KEY,
+      trash.filter((item) => !ids.includes(item.recipe.id))
+    );
+  },
+
+  quarantineUnreadable(error) {
+    return this.addToQuarantine([
+      { record: error.raw, errors: [error.message] },
+    ]);
+  },
+
+  /**
+   * Store a recipe photo
+   * @param {string} id - Image id, referenced by the recipe's `imageId`
+   * @param {Blob} blob
+   * @returns {Promise<boolean>} Success status
+   */
+  async saveImage(id, blob) {
     try {
-      const test = '__localStorage_test__';
-      localStorage.setItem(test, test);
-      localStorage.removeItem(test);
+      await this.backend.putImage(id, blob);
+      return true;
+    } catch (e) {
+      this.handleError('saving image', e);
+      return false;
+    }
+  },
+
+  /**
+   * URL to show a stored photo with
+   * @returns {Promise<string|null>} null when there is no such image
+   */
+  async getImageUrl(id) {
+    if (this.imageUrls.has(id)) return this.imageUrls.get(id);
+    try {
+      const blob = await this.backend.getImage(id);
+      if (!blob) return null;
+      const url = URL.createObjectURL(blob);
+      this.imageUrls.set(id, url);
+      return url;
+    } catch (e) {
+      this.handleError('reading image', e);
+      return null;
+    }
+  },
+
+  /**
+   * A stored photo as a data: URL, for exporting
+   * @returns {Promise<string|null>}
+   */
+  async getImageDataUrl(id) {
+    try {
+      const blob = await this.backend.getImage(id);
+      return blob ? await blobToDataUrl(blob) : null;
+    } catch (e) {
+      this.handleError('reading image', e);
+      return null;
+    }
+  },
+
+  async deleteImage(id) {
+    if (this.imageUrls.has(id)) {
+      URL.revokeObjectURL(this.imageUrls.get(id));
+      this.imageUrls.delete(id);
+    }
+    try {
+      await this.backend.deleteImage(id);
+      return true;
+    } catch (e) {
+      this.handleError('deleting image', e);
+      return false;
+    }
+  },
+
+  async getValue(key, fallback) {
+    try {
+      const value = await this.backend.getValue(key);
+      return value === undefined ? fallback : value;
+    } catch (e) {
+      this.handleError(`reading ${key}`, e);
+      return fallback;
+    }
+  },
+
+  async setValue(key, value) {
+    try {
+      await this.backend.setValue(key, value);
+      this.notifyChange({ key });
+      return true;
+    } catch (e) {
+      this.handleError(`saving ${key}`, e);
+      return false;
+    }
+  },
+
+  async deleteValue(key) {
+    try {
+      await this.backend.deleteValue(key);
+      this.notifyChange({ key });
+      return true;
+    } catch (e) {
+      this.handleError(`deleting ${key}`, e);
+      return false;
+    }
+  },
+
+  getPreference(key, fallback) {
+    try {
+      const data = localStorage.getItem(key);
+      return data ? JSON.parse(data) : fallback;
+    } catch (e) {
+      console.error('Error reading preference:', e);
+      return fallback;
+    }
+  },
+
+  savePreference(key, value) {
+    try {
+      localStorage.setItem(key, JSON.stringify(value));
       return true;
     } catch (e) {
+      console.error('Error saving preference:', e);
       return false;
     }
   },
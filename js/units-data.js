@@ -0,0 +1,84 @@
+/**
+ * Unit conversion tables
+ * Amounts are converted through a base unit: grams for weight, ml for volume
+ */
+const UNIT_CONVERSIONS = {
+  mg: { type: 'weight', factor: 0.001 },
+  g: { type: 'weight', factor: 1 },
+  kg: { type: 'weight', factor: 1000 },
+  oz: { type: 'weight', factor: 28.3495 },
+  lb: { type: 'weight', factor: 453.592 },
+  ml: { type: 'volume', factor: 1 },
+  l: { type: 'volume', factor: 1000 },
+  tsp: { type: 'volume', factor: 4.92892 },
+  tbsp: { type: 'volume', factor: 14.7868 },
+  'fl oz': { type: 'volume', factor: 29.5735 },
+  cup: { type: 'volume', factor: 236.588 },
+  pint: { type: 'volume', factor: 473.176 },
+  quart: { type: 'volume', factor: 946.353 },
+};
+
+/**
+ * Grams per US cup for dry staples and solid fats. Keywords are matched
+ * as whole words against the normalized (lowercase, singular) ingredient
+ * name, so "butter" does not match "buttermilk"; phrases in `except` are
+ * removed first ("rice vinegar" is not rice). Pourable liquids (water,
+ * milk, oil) are left out on purpose: they convert between cups and ml
+ * instead.
+ * More specific keywords must come before general ones ("brown sugar"
+ * before "sugar"); the first match wins.
+ */
+const INGREDIENT_DENSITIES = [
+  { keywords: ['all purpose flour', 'plain flour', 'maida'], gramsPerCup: 125 },
+  { keywords: ['wheat flour', 'atta'], gramsPerCup: 120 },
+  { keywords: ['bread flour'], gramsPerCup: 130 },
+  { keywords: ['almond flour'], gramsPerCup: 96 },
+  { keywords: ['rice flour'], gramsPerCup: 158 },
+  { keywords: ['gram flour', 'besan', 'chickpea flour'], gramsPerCup: 92 },
+  { keywords: ['cornstarch', 'corn starch', 'cornflour'], gramsPerCup: 128 },
+  { keywords: ['flour'], gramsPerCup: 125 },
+  { keywords: ['brown sugar'], gramsPerCup: 220 },
+  { keywords: ['powdered sugar', 'icing sugar'], gramsPerCup: 120 },
+  {
+    keywords: ['sugar'],
+    except: ['sugar snap pea', 'sugar free'],
+    gramsPerCup: 200,
+  },
+  { keywords: ['cocoa'], except: ['cocoa butter'], gramsPerCup: 85 },
+  { keywords: ['chocolate chips'], gramsPerCup: 170 },
+  {
+    keywords: ['butter', 'ghee'],
+    except: ['peanut butter', 'almond butter', 'cocoa butter'],
+    gramsPerCup: 227,
+  },
+  { keywords: ['parmesan'], gramsPerCup: 100 },
+  { keywords: ['paneer'], gramsPerCup: 150 },
+  { keywords: ['cheese'], gramsPerCup: 113 },
+  { keywords: ['rolled oats', 'oats'], gramsPerCup: 90 },
+  {
+    keywords: ['basmati', 'rice'],
+    except: ['rice vinegar', 'rice wine', 'rice noodle', 'rice paper'],
+    gramsPerCup: 185,
+  },
+  { keywords: ['semolina', 'rava', 'sooji'], gramsPerCup: 167 },
+  { keywords: ['breadcrumbs', 'bread crumbs'], gramsPerCup: 108 },
+  { keywords: ['lentils', 'dal'], gramsPerCup: 192 },
+  {
+    keywords: ['almonds', 'cashews', 'peanuts'],
+    except: [
+      'almond butter',
+      'almond milk',
+      'almond extract',
+      'cashew butter',
+      'peanut butter',
+      'peanut oil',
+    ],
+    gramsPerCup: 140,
+  },
+  { keywords: ['walnuts'], gramsPerCup: 120 },
+  { keywords: ['raisins'], gramsPerCup: 145 },
+  { keywords: ['baking soda', 'baking powder'], gramsPerCup: 220 },
+  { keywords: ['salt'], gramsPerCup: 292 },
+  { keywords: ['yogurt', 'curd'], gramsPerCup: 245 },
+  { keywords: ['honey'], gramsPerCup: 340 },
+];